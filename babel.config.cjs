@@ -0,0 +1,23 @@
+// Jest runs test files as CommonJS, so the ES module sources are transformed on the fly.
+// `import.meta.url` has no CommonJS equivalent, so it is rewritten to the file URL of __filename.
+function importMetaUrl({ template }) {
+    return {
+        visitor: {
+            MetaProperty(path) {
+                if (path.parentPath.isMemberExpression({ object: path.node }) &&
+                    path.parent.property.name === 'url') {
+                    path.parentPath.replaceWith(
+                        template.expression.ast`require('node:url').pathToFileURL(__filename).href`
+                    );
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    plugins: [
+        importMetaUrl,
+        '@babel/plugin-transform-modules-commonjs'
+    ]
+};
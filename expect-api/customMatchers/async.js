@@ -0,0 +1,161 @@
+import { failureMessage, hint, printValue } from './messages.js';
+
+/*
+    Async matchers: each returns a promise, so assertions must be awaited.
+    All waiting goes through the global setTimeout and Date.now, which jest.useFakeTimers() replaces.
+*/
+
+export const DEFAULT_EVENTUALLY = { timeout: 1000, interval: 50 };
+
+let externalValueProvider = null;
+
+// provider() returns (or resolves to) the divisor toBeDivisibleByExternalValue checks against
+export function setExternalValueProvider(provider) {
+    if (typeof provider !== 'function') {
+        throw new TypeError('The external value provider must be a function');
+    }
+
+    externalValueProvider = provider;
+}
+
+export function resetExternalValueProvider() {
+    externalValueProvider = null;
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// expect(fetchTitles()).toResolveWithin(100); received is a promise or a function returning one
+export async function toResolveWithin(actual, ms) {
+    const promise = typeof actual === 'function' ? actual() : actual;
+
+    if (typeof promise?.then !== 'function') {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toResolveWithin', 'ms'),
+            `${this.utils.RECEIVED_COLOR('received')} value must be a promise or a function returning a promise`,
+            this.utils.printWithType('Received', actual, this.utils.printReceived)
+        ));
+    }
+
+    let timer;
+    const timedOut = Symbol('timed out');
+    const outcome = await Promise.race([
+        Promise.resolve(promise).then(value => ({ value }), error => ({ error })),
+        new Promise((resolve) => {
+            timer = setTimeout(() => resolve(timedOut), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+
+    const pass = outcome !== timedOut && !('error' in outcome);
+    let received;
+
+    if (outcome === timedOut) {
+        received = `still pending after ${ms} ms`;
+    } else if ('error' in outcome) {
+        received = `rejected with ${printValue(this, outcome.error, this.utils.RECEIVED_COLOR)}`;
+    } else {
+        received = `resolved with ${printValue(this, outcome.value, this.utils.RECEIVED_COLOR)}`;
+    }
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toResolveWithin',
+            expectedArgs: 'ms',
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}to resolve within ${this.utils.printExpected(ms)} ms`],
+                ['Received', received]
+            ]
+        })
+    };
+}
+
+/*
+    expect(() => queue.size).toEventuallyEqual(0, { timeout, interval }) calls the getter (sync or async)
+    every interval ms until its value equals expected or timeout ms have passed.
+    With .not it waits the whole timeout, since the value may still come to equal expected.
+*/
+export async function toEventuallyEqual(actual, expected, { timeout = DEFAULT_EVENTUALLY.timeout, interval = DEFAULT_EVENTUALLY.interval } = {}) {
+    const expectedArgs = 'expected, { timeout, interval }';
+
+    if (typeof actual !== 'function') {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toEventuallyEqual', expectedArgs),
+            `${this.utils.RECEIVED_COLOR('received')} value must be a function that returns the current value`,
+            this.utils.printWithType('Received', actual, this.utils.printReceived)
+        ));
+    }
+
+    const deadline = Date.now() + timeout;
+    let attempts = 0;
+    let value;
+    let pass = false;
+
+    for (;;) {
+        value = await actual();
+        attempts++;
+        pass = this.equals(value, expected);
+
+        if (pass || Date.now() >= deadline) {
+            break;
+        }
+
+        await delay(Math.min(interval, deadline - Date.now()));
+    }
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toEventuallyEqual',
+            expectedArgs,
+            rows: [
+                ['Expected', `${pass ? 'never ' : 'eventually '}${printValue(this, expected, this.utils.EXPECTED_COLOR)} within ${timeout} ms`],
+                ['Received', `${printValue(this, value, this.utils.RECEIVED_COLOR)} after ${this.utils.pluralize('attempt', attempts)}`]
+            ],
+            diff: !pass,
+            expected,
+            received: value
+        })
+    };
+}
+
+// expect(100).toBeDivisibleByExternalValue() with the divisor from setExternalValueProvider
+export async function toBeDivisibleByExternalValue(actual) {
+    if (!externalValueProvider) {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toBeDivisibleByExternalValue'),
+            'no external value provider registered',
+            'Call setExternalValueProvider(provider) first, e.g. in a beforeEach.'
+        ));
+    }
+
+    if (typeof actual !== 'number') {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toBeDivisibleByExternalValue'),
+            `${this.utils.RECEIVED_COLOR('received')} value must be a number`,
+            this.utils.printWithType('Received', actual, this.utils.printReceived)
+        ));
+    }
+
+    const divisor = await externalValueProvider();
+
+    if (typeof divisor !== 'number' || !divisor) {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toBeDivisibleByExternalValue'),
+            'the external value must be a non-zero number',
+            this.utils.printWithType('External value', divisor, this.utils.printExpected)
+        ));
+    }
+
+    const pass = actual % divisor === 0;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toBeDivisibleByExternalValue',
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}divisible by ${this.utils.printExpected(divisor)}`],
+                ['Received', this.utils.printReceived(actual)]
+            ]
+        })
+    };
+}
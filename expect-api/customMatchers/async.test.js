@@ -0,0 +1,153 @@
+import { resetExternalValueProvider, setExternalValueProvider } from './index.js';
+
+async function failure(assertion) {
+    try {
+        await assertion();
+    } catch(err) {
+        return err.message.replace(/\x1b\[\d+m/g, '');
+    }
+    throw new Error('Expected the assertion to fail');
+}
+
+const after = (ms, value) => new Promise((resolve) => setTimeout(resolve, ms, value));
+
+describe('toResolveWithin', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('passes when the promise settles in time', async () => {
+        const assertion = expect(after(50, 'done')).toResolveWithin(100);
+
+        await jest.advanceTimersByTimeAsync(50);
+        await assertion;
+    });
+
+    test('accepts a function returning a promise', async () => {
+        const assertion = expect(() => after(10)).toResolveWithin(10);
+
+        await jest.advanceTimersByTimeAsync(10);
+        await assertion;
+    });
+
+    test('fails when the promise is still pending', async () => {
+        const message = failure(() => expect(after(150)).toResolveWithin(100));
+
+        await jest.advanceTimersByTimeAsync(100);
+        await expect(message).resolves.toBe(
+            'expect(received).toResolveWithin(ms)\n\nExpected: to resolve within 100 ms\nReceived: still pending after 100 ms'
+        );
+    });
+
+    test('a rejection is not resolving', async () => {
+        await expect(Promise.reject(new Error('boom'))).not.toResolveWithin(100);
+        await expect(failure(() => expect(Promise.reject(new Error('boom'))).toResolveWithin(100))).resolves.toContain('Received: rejected with [Error: boom]');
+    });
+
+    test('.not names the value it resolved with', async () => {
+        await expect(failure(() => expect(Promise.resolve(42)).not.toResolveWithin(100))).resolves.toBe(
+            'expect(received).not.toResolveWithin(ms)\n\nExpected: not to resolve within 100 ms\nReceived: resolved with 42'
+        );
+    });
+
+    test('throws for values that are not promises', async () => {
+        await expect(failure(() => expect(42).toResolveWithin(100))).resolves.toContain('received value must be a promise or a function returning a promise');
+    });
+});
+
+describe('toEventuallyEqual', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('polls until the value matches', async () => {
+        let size = 3;
+        const shrink = setInterval(() => size--, 100);
+        const getter = jest.fn(() => size);
+        const assertion = expect(getter).toEventuallyEqual(0, { timeout: 1000, interval: 50 });
+
+        await jest.advanceTimersByTimeAsync(300);
+        await assertion;
+        clearInterval(shrink);
+
+        expect(getter).toHaveBeenCalledTimes(7);
+    });
+
+    test('awaits async getters and compares deeply', async () => {
+        const assertion = expect(async () => ({ status: 'ok' })).toEventuallyEqual({ status: 'ok' });
+
+        await assertion;
+    });
+
+    test('fails with the last value after the timeout', async () => {
+        const message = failure(() => expect(() => 'pending').toEventuallyEqual('done', { timeout: 200, interval: 100 }));
+
+        await jest.advanceTimersByTimeAsync(200);
+        await expect(message).resolves.toBe(
+            'expect(received).toEventuallyEqual(expected, { timeout, interval })\n\n' +
+            'Expected: eventually "done" within 200 ms\nReceived: "pending" after three attempts'
+        );
+    });
+
+    test('.not waits out the timeout', async () => {
+        const assertion = expect(() => 1).not.toEventuallyEqual(2, { timeout: 100, interval: 25 });
+
+        await jest.advanceTimersByTimeAsync(100);
+        await assertion;
+        await expect(failure(() => expect(() => 2).not.toEventuallyEqual(2))).resolves.toContain('expect(received).not.toEventuallyEqual');
+    });
+});
+
+describe('toBeDivisibleByExternalValue', () => {
+    afterEach(() => {
+        resetExternalValueProvider();
+    });
+
+    test('uses the registered provider', async () => {
+        setExternalValueProvider(async () => 10);
+
+        await expect(100).toBeDivisibleByExternalValue();
+        await expect(101).not.toBeDivisibleByExternalValue();
+    });
+
+    test('the provider can be slow', async () => {
+        jest.useFakeTimers();
+        setExternalValueProvider(() => after(1000, 7));
+
+        try {
+            const assertion = expect(49).toBeDivisibleByExternalValue();
+
+            await jest.advanceTimersByTimeAsync(1000);
+            await assertion;
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('hints show .resolves and .not', async () => {
+        setExternalValueProvider(() => 3);
+
+        await expect(failure(() => expect(Promise.resolve(9)).resolves.not.toBeDivisibleByExternalValue())).resolves.toBe(
+            'expect(received).resolves.not.toBeDivisibleByExternalValue()\n\nExpected: not divisible by 3\nReceived: 9'
+        );
+    });
+
+    test('throws without a provider or with a bad value', async () => {
+        await expect(failure(() => expect(9).toBeDivisibleByExternalValue())).resolves.toContain('no external value provider registered');
+
+        setExternalValueProvider(() => 0);
+        await expect(failure(() => expect(9).toBeDivisibleByExternalValue())).resolves.toContain('the external value must be a non-zero number');
+    });
+
+    test('rejects providers that are not functions', () => {
+        expect(() => setExternalValueProvider(10)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,109 @@
+import { failureMessage, hint, printValue } from './messages.js';
+
+// A key is a property path ('author.name'), a function of the item, or undefined for the item itself
+export function select(item, key) {
+    if (key === undefined) {
+        return item;
+    }
+
+    if (typeof key === 'function') {
+        return key(item);
+    }
+
+    return String(key).split('.').reduce((value, name) => value?.[name], item);
+}
+
+function describeKey(key) {
+    if (key === undefined) {
+        return '';
+    }
+
+    return typeof key === 'function' ? key.name || 'key' : JSON.stringify(key);
+}
+
+// Numbers, bigints, strings and Dates compare with < and >; Dates by their time
+function compare(a, b) {
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+
+    if (left < right) {
+        return -1;
+    }
+
+    return left > right ? 1 : 0;
+}
+
+function ensureArray(context, name, expectedArgs, actual) {
+    if (!Array.isArray(actual)) {
+        throw new Error(context.utils.matcherErrorMessage(
+            hint(context, name, expectedArgs),
+            `${context.utils.RECEIVED_COLOR('received')} value must be an array`,
+            context.utils.printWithType('Received', actual, context.utils.printReceived)
+        ));
+    }
+}
+
+// expect(works).toBeSortedBy('first_publish_year', 'desc'); equal neighbours are fine in either order
+export function toBeSortedBy(actual, key, order = 'asc') {
+    const expectedArgs = 'key, order';
+
+    ensureArray(this, 'toBeSortedBy', expectedArgs, actual);
+
+    if (order !== 'asc' && order !== 'desc') {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toBeSortedBy', expectedArgs),
+            `order must be ${this.utils.printExpected('asc')} or ${this.utils.printExpected('desc')}`,
+            this.utils.printWithType('Order', order, this.utils.printExpected)
+        ));
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    const values = actual.map(item => select(item, key));
+    const index = values.findIndex((value, i) => i > 0 && compare(values[i - 1], value) * direction > 0);
+    const pass = index === -1;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toBeSortedBy',
+            expectedArgs: describeKey(key) || expectedArgs,
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}sorted ${order}`],
+                ['Received', pass
+                    ? printValue(this, values, this.utils.RECEIVED_COLOR)
+                    : `${this.utils.printReceived(values[index - 1])} at index ${index - 1} before ${this.utils.printReceived(values[index])} at index ${index}`]
+            ]
+        })
+    };
+}
+
+// expect(titles).toHaveUniqueItems(), or toHaveUniqueItems('key') to compare one property; uses Jest's equality
+export function toHaveUniqueItems(actual, key) {
+    ensureArray(this, 'toHaveUniqueItems', 'key', actual);
+
+    const values = actual.map(item => select(item, key));
+    const duplicates = [];
+
+    values.forEach((value, index) => {
+        const first = values.findIndex(other => this.equals(other, value));
+
+        if (first !== index) {
+            duplicates.push({ value, first, index });
+        }
+    });
+
+    const pass = !duplicates.length;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toHaveUniqueItems',
+            expectedArgs: describeKey(key),
+            rows: pass
+                ? [['Expected', 'some duplicate items'], ['Received', printValue(this, values, this.utils.RECEIVED_COLOR)]]
+                : [['Expected', 'unique items'], ['Received', this.utils.pluralize('duplicate', duplicates.length)]],
+            details: duplicates.map(({ value, first, index }) => `  ${this.utils.printReceived(value)} at index ${index} (first at ${first})`),
+            detailNoun: 'duplicates'
+        })
+    };
+}
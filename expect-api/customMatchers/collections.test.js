@@ -0,0 +1,57 @@
+function failure(assertion) {
+    try {
+        assertion();
+    } catch(err) {
+        return err.message.replace(/\x1b\[\d+m/g, '');
+    }
+    throw new Error('Expected the assertion to fail');
+}
+
+describe('toBeSortedBy', () => {
+    const works = [
+        { title: 'Effective Java', year: 2001, author: { name: 'Joshua Bloch' } },
+        { title: 'Head First Java', year: 2003, author: { name: 'Kathy Sierra' } },
+        { title: 'JavaScript', year: 2003, author: { name: 'David Flanagan' } }
+    ];
+
+    test('sorts by a property, a path or a function', () => {
+        expect(works).toBeSortedBy('year');
+        expect(works).toBeSortedBy('title');
+        expect(works).not.toBeSortedBy('author.name');
+        expect(works).toBeSortedBy(work => -work.year, 'desc');
+        expect([3, 2, 2, 1]).toBeSortedBy(undefined, 'desc');
+        expect([new Date(2020, 0), new Date(2021, 0)]).toBeSortedBy();
+    });
+
+    test('works asymmetrically', () => {
+        expect({ works }).toEqual({ works: expect.toBeSortedBy('year') });
+    });
+
+    test('points at the first pair out of order', () => {
+        expect(failure(() => expect([1, 3, 2]).toBeSortedBy())).toBe(
+            'expect(received).toBeSortedBy(key, order)\n\nExpected: sorted asc\nReceived: 3 at index 1 before 2 at index 2'
+        );
+        expect(failure(() => expect(works).toBeSortedBy('year', 'desc'))).toContain('expect(received).toBeSortedBy("year")');
+    });
+
+    test('rejects bad arguments', () => {
+        expect(failure(() => expect('abc').toBeSortedBy())).toContain('received value must be an array');
+        expect(failure(() => expect([]).toBeSortedBy(undefined, 'up'))).toContain('order must be "asc" or "desc"');
+    });
+});
+
+describe('toHaveUniqueItems', () => {
+    test('uses deep equality', () => {
+        expect([1, 2, 3]).toHaveUniqueItems();
+        expect([{ a: 1 }, { a: 1 }]).not.toHaveUniqueItems();
+        expect([{ key: 'a', n: 1 }, { key: 'b', n: 1 }]).toHaveUniqueItems('key');
+        expect({ keys: ['a', 'b'] }).toEqual({ keys: expect.toHaveUniqueItems() });
+    });
+
+    test('lists every duplicate', () => {
+        expect(failure(() => expect(['a', 'b', 'a', 'b']).toHaveUniqueItems())).toBe(
+            'expect(received).toHaveUniqueItems()\n\nExpected: unique items\nReceived: two duplicates\n\n' +
+            '  "a" at index 2 (first at 0)\n  "b" at index 3 (first at 1)'
+        );
+    });
+});
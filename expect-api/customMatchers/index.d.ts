@@ -0,0 +1,122 @@
+import type { MatcherFunction } from 'expect';
+
+export type SortKey<T = unknown> = string | ((item: T) => unknown);
+export type SortOrder = 'asc' | 'desc';
+
+/** A schema in the validate.js language: { type, optional, nullable, properties, items } */
+export interface Schema {
+    type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'null' | 'any';
+    optional?: boolean;
+    nullable?: boolean;
+    properties?: Record<string, Schema>;
+    items?: Schema;
+}
+
+export type RangeValue = number | bigint | Date;
+
+export interface RangeOptions<T extends RangeValue = RangeValue> {
+    min: T;
+    max: T;
+    /** Interval notation for the bounds, '[]' (both inclusive) by default */
+    inclusive?: '[]' | '()' | '[)' | '(]';
+}
+
+export interface EventuallyOptions {
+    /** Milliseconds to keep polling, 1000 by default */
+    timeout?: number;
+    /** Milliseconds between polls, 50 by default */
+    interval?: number;
+}
+
+export type ExternalValueProvider = () => number | Promise<number>;
+
+export declare function setExternalValueProvider(provider: ExternalValueProvider): void;
+export declare function resetExternalValueProvider(): void;
+
+/** The async matchers resolve their assertion, so they have no asymmetric form */
+export interface AsyncMatchers<R = unknown> {
+    /** Passes when the promise (or the promise the function returns) resolves within ms */
+    toResolveWithin(ms: number): Promise<R>;
+    /** Polls the getter until its value equals expected or the timeout passes */
+    toEventuallyEqual<T>(expected: T, options?: EventuallyOptions): Promise<R>;
+    /** Passes when received is divisible by the value from setExternalValueProvider */
+    toBeDivisibleByExternalValue(): Promise<R>;
+}
+
+/** Matchers over a mock's whole call log; received must be a jest.fn() */
+export interface MockMatchers<R = unknown> {
+    /** Passes when the mock was called exactly with these argument lists, in this order */
+    toHaveBeenCalledInOrderWith(calls: unknown[][]): R;
+    /** Passes when these argument lists appear in this order, with any other calls in between */
+    toHaveBeenCalledWithSubsequence(calls: unknown[][]): R;
+    /** Passes when the mock's first call came before otherMock's first call */
+    toHaveBeenCalledBefore(otherMock: (...args: any[]) => unknown): R;
+    /** Passes when the mock returned exactly these values, in this order */
+    toHaveReturnedInOrder(values: unknown[]): R;
+}
+
+export interface CustomMatchers<R = unknown> {
+    /** Passes when floor <= received <= ceiling */
+    toBeWithinRange<T extends RangeValue>(floor: T, ceiling: T): R;
+    /** Passes when received is between min and max, with the bounds picked by inclusive */
+    toBeWithinRange<T extends RangeValue>(options: RangeOptions<T>): R;
+    /** Passes when received is within percent % of expected */
+    toBeWithinPercent(expected: number, percent: number): R;
+    /** Passes when the array is sorted by key (a property path or a function); order defaults to 'asc' */
+    toBeSortedBy(key?: SortKey, order?: SortOrder): R;
+    /** Passes when no two items (or their key) are equal */
+    toHaveUniqueItems(key?: SortKey): R;
+    /** Passes when received has every one of the keys as own properties */
+    toContainAllKeys(keys: PropertyKey[]): R;
+    /** Passes for an ISO 8601 calendar date, optionally with a time and zone */
+    toBeISODateString(): R;
+    /** Passes when received validates against the schema */
+    toMatchSchema(schema: Schema): R;
+}
+
+export declare const toBeWithinRange: MatcherFunction<[floorOrOptions: RangeValue | RangeOptions, ceiling?: RangeValue]>;
+export declare const toBeWithinPercent: MatcherFunction<[expected: number, percent: number]>;
+export declare const toBeSortedBy: MatcherFunction<[key?: SortKey, order?: SortOrder]>;
+export declare const toHaveUniqueItems: MatcherFunction<[key?: SortKey]>;
+export declare const toContainAllKeys: MatcherFunction<[keys: PropertyKey[]]>;
+export declare const toBeISODateString: MatcherFunction;
+export declare const toMatchSchema: MatcherFunction<[schema: Schema]>;
+
+export declare const toResolveWithin: MatcherFunction<[ms: number]>;
+export declare const toEventuallyEqual: MatcherFunction<[expected: unknown, options?: EventuallyOptions]>;
+export declare const toBeDivisibleByExternalValue: MatcherFunction;
+
+export declare const toHaveBeenCalledInOrderWith: MatcherFunction<[calls: unknown[][]]>;
+export declare const toHaveBeenCalledWithSubsequence: MatcherFunction<[calls: unknown[][]]>;
+export declare const toHaveBeenCalledBefore: MatcherFunction<[otherMock: unknown]>;
+export declare const toHaveReturnedInOrder: MatcherFunction<[values: unknown[]]>;
+
+export declare const matchers: {
+    toBeWithinRange: typeof toBeWithinRange;
+    toBeWithinPercent: typeof toBeWithinPercent;
+    toBeSortedBy: typeof toBeSortedBy;
+    toHaveUniqueItems: typeof toHaveUniqueItems;
+    toContainAllKeys: typeof toContainAllKeys;
+    toBeISODateString: typeof toBeISODateString;
+    toMatchSchema: typeof toMatchSchema;
+    toResolveWithin: typeof toResolveWithin;
+    toEventuallyEqual: typeof toEventuallyEqual;
+    toBeDivisibleByExternalValue: typeof toBeDivisibleByExternalValue;
+    toHaveBeenCalledInOrderWith: typeof toHaveBeenCalledInOrderWith;
+    toHaveBeenCalledWithSubsequence: typeof toHaveBeenCalledWithSubsequence;
+    toHaveBeenCalledBefore: typeof toHaveBeenCalledBefore;
+    toHaveReturnedInOrder: typeof toHaveReturnedInOrder;
+};
+
+declare module 'expect' {
+    interface AsymmetricMatchers extends CustomMatchers<void> {}
+    interface Matchers<R> extends CustomMatchers<R>, AsyncMatchers<R>, MockMatchers<R> {}
+}
+
+declare global {
+    namespace jest {
+        interface Expect extends CustomMatchers<any> {}
+        interface InverseAsymmetricMatchers extends CustomMatchers<any> {}
+        interface Matchers<R> extends CustomMatchers<R>, AsyncMatchers<R>, MockMatchers<R> {}
+    }
+}
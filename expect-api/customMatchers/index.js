@@ -0,0 +1,27 @@
+import { resetExternalValueProvider, setExternalValueProvider, toBeDivisibleByExternalValue, toEventuallyEqual, toResolveWithin } from './async.js';
+import { toBeSortedBy, toHaveUniqueItems } from './collections.js';
+import { toHaveBeenCalledBefore, toHaveBeenCalledInOrderWith, toHaveBeenCalledWithSubsequence, toHaveReturnedInOrder } from './mocks.js';
+import { toBeWithinPercent, toBeWithinRange } from './numbers.js';
+import { toBeISODateString, toContainAllKeys, toMatchSchema } from './shapes.js';
+
+export { toBeSortedBy, toHaveUniqueItems, toBeWithinPercent, toBeWithinRange, toBeISODateString, toContainAllKeys, toMatchSchema };
+export { toResolveWithin, toEventuallyEqual, toBeDivisibleByExternalValue, setExternalValueProvider, resetExternalValueProvider };
+export { toHaveBeenCalledInOrderWith, toHaveBeenCalledWithSubsequence, toHaveBeenCalledBefore, toHaveReturnedInOrder };
+
+// Everything setup.js hands to expect.extend
+export const matchers = {
+    toBeWithinRange,
+    toBeWithinPercent,
+    toBeSortedBy,
+    toHaveUniqueItems,
+    toContainAllKeys,
+    toBeISODateString,
+    toMatchSchema,
+    toResolveWithin,
+    toEventuallyEqual,
+    toBeDivisibleByExternalValue,
+    toHaveBeenCalledInOrderWith,
+    toHaveBeenCalledWithSubsequence,
+    toHaveBeenCalledBefore,
+    toHaveReturnedInOrder
+};
@@ -0,0 +1,173 @@
+import { diff } from 'jest-diff';
+
+/*
+    Shared pieces for failure messages. Everything here honours `jest --expand` (this.expand):
+    without it, long diffs and huge payloads are cut down and summarised by the paths that differ.
+*/
+
+export const MAX_DIFF_LINES = 50;
+export const MAX_PRINTED_LENGTH = 2000;
+export const MAX_SUMMARY_PATHS = 10;
+export const MAX_CELL_WIDTH = 40;
+
+const isContainer = (value) => Array.isArray(value) || Object.prototype.toString.call(value) === '[object Object]';
+
+// matcherHint with .not and .resolves/.rejects filled in from the matcher context; receivedName is e.g. a mock's name
+export function hint(context, name, expectedArgs = '', receivedName) {
+    return context.utils.matcherHint(name, receivedName, expectedArgs, { isNot: context.isNot, promise: context.promise });
+}
+
+// Rows of [label, text] with the labels padded to the same width, like Jest's own "Expected:" / "Received:"
+export function labelled(context, rows) {
+    const printLabel = context.utils.getLabelPrinter(...rows.map(([label]) => label));
+
+    return rows.map(([label, text]) => `${printLabel(label)}${text}`).join('\n');
+}
+
+function joinPath(path, key, inArray) {
+    if (inArray) {
+        return `${path}[${key}]`;
+    }
+
+    return path ? `${path}.${key}` : key;
+}
+
+// Paths at which received differs from expected, e.g. ['works[3].title', 'work_count']
+export function differingPaths(context, expected, received, path = '') {
+    if (context.equals(received, expected)) {
+        return [];
+    }
+
+    if (!isContainer(expected) || !isContainer(received) || Array.isArray(expected) !== Array.isArray(received)) {
+        return [path || '(root)'];
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(received)]);
+
+    return [...keys].flatMap(key => differingPaths(context, expected[key], received[key], joinPath(path, key, Array.isArray(expected))));
+}
+
+export function summarizePaths(paths) {
+    const shown = paths.slice(0, MAX_SUMMARY_PATHS).join(', ');
+    const more = paths.length > MAX_SUMMARY_PATHS ? ` and ${paths.length - MAX_SUMMARY_PATHS} more` : '';
+
+    return `Differs at ${paths.length === 1 ? 'one path' : `${paths.length} paths`}: ${shown}${more}`;
+}
+
+// Keeps the first max lines; the rest are replaced by a note (and whatever extra the caller adds)
+export function limitLines(context, lines, max = MAX_DIFF_LINES, noun = 'lines') {
+    if (context.expand || lines.length <= max) {
+        return lines;
+    }
+
+    return [...lines.slice(0, max), context.utils.DIM_COLOR(`… ${lines.length - max} more ${noun}, run with --expand to see them all`)];
+}
+
+const MARKERS = { match: '  ', mismatch: '× ', skip: '  ' };
+
+function cell(context, text) {
+    return context.expand || text.length <= MAX_CELL_WIDTH ? text : `${text.slice(0, MAX_CELL_WIDTH - 1)}…`;
+}
+
+/**
+ * Expected and received side by side, one row per call or result:
+ *
+ *        Expected   Received
+ *     1  "lemon"    "lemon"
+ *   × 2  "octopus"  "mango"
+ *
+ * rows are { label, expected, received, status } with plain text cells (stringify them first) and a status
+ * of 'match', 'mismatch' (marked with ×) or 'skip' (dimmed). Long cells are cut unless Jest runs with --expand.
+ */
+export function sideBySide(context, rows, { expectedTitle = 'Expected', receivedTitle = 'Received' } = {}) {
+    const cells = rows.map(row => ({ ...row, label: String(row.label ?? ''), expected: cell(context, row.expected ?? ''), received: cell(context, row.received ?? '') }));
+    const labelWidth = Math.max(0, ...cells.map(row => row.label.length));
+    const expectedWidth = Math.max(expectedTitle.length, ...cells.map(row => row.expected.length));
+    const header = `  ${''.padStart(labelWidth)}  ${expectedTitle.padEnd(expectedWidth)}  ${receivedTitle}`;
+
+    const lines = cells.map(({ label, expected, received, status }) => {
+        const prefix = `${MARKERS[status]}${label.padStart(labelWidth)}  `;
+
+        if (status === 'skip') {
+            return context.utils.DIM_COLOR(`${prefix}${expected.padEnd(expectedWidth)}  ${received}`.trimEnd());
+        }
+
+        // No padding after the expected cell when nothing was received, so lines never end in spaces
+        return received
+            ? `${prefix}${context.utils.EXPECTED_COLOR(expected.padEnd(expectedWidth))}  ${context.utils.RECEIVED_COLOR(received)}`
+            : `${prefix}${context.utils.EXPECTED_COLOR(expected)}`;
+    });
+
+    return [context.utils.DIM_COLOR(header.trimEnd()), ...limitLines(context, lines, MAX_DIFF_LINES, 'rows')].join('\n');
+}
+
+/*
+    utils.stringify already shows at most 10 items per array or object. Unless expanded, the result is also cut
+    at MAX_PRINTED_LENGTH characters for long strings; with --expand everything is printed.
+    color is utils.RECEIVED_COLOR or utils.EXPECTED_COLOR.
+*/
+export function printValue(context, value, color) {
+    if (context.expand) {
+        return color(context.utils.stringify(value, Infinity, Infinity));
+    }
+
+    const printed = context.utils.stringify(value);
+
+    if (printed.length <= MAX_PRINTED_LENGTH) {
+        return color(printed);
+    }
+
+    return color(printed.slice(0, MAX_PRINTED_LENGTH)) + context.utils.DIM_COLOR(`… (${printed.length} characters)`);
+}
+
+// A coloured jest-diff of two objects or arrays, or '' when a diff would not help
+export function printDiff(context, expected, received) {
+    if (!isContainer(expected) || !isContainer(received)) {
+        return '';
+    }
+
+    const lines = diff(expected, received, { expand: context.expand }).split('\n');
+    const limited = limitLines(context, lines);
+
+    if (limited === lines) {
+        return lines.join('\n');
+    }
+
+    return [...limited, '', summarizePaths(differingPaths(context, expected, received))].join('\n');
+}
+
+/**
+ * The whole failure message: the matcher hint, the labelled rows, any detail lines (cut down with
+ * limitLines), an optional sideBySide table ({ rows, expectedTitle, receivedTitle }) and, when `diff`
+ * is set, a diff of expected against received. Call it from the message function so the work is only
+ * done when the assertion fails.
+ */
+export function failureMessage(context, {
+    matcher,
+    expectedArgs,
+    receivedName,
+    rows,
+    details = [],
+    detailNoun,
+    table,
+    diff: withDiff = false,
+    expected,
+    received
+}) {
+    const sections = [hint(context, matcher, expectedArgs, receivedName), labelled(context, rows)];
+    const difference = withDiff ? printDiff(context, expected, received) : '';
+
+    if (details.length) {
+        sections.push(limitLines(context, details, MAX_DIFF_LINES, detailNoun).join('\n'));
+    }
+
+    if (table) {
+        sections.push(sideBySide(context, table.rows, table));
+    }
+
+    if (difference) {
+        sections.push(difference);
+    }
+
+    return sections.join('\n\n');
+}
@@ -0,0 +1,167 @@
+import { equals } from '@jest/expect-utils';
+import * as utils from 'jest-matcher-utils';
+import { differingPaths, failureMessage, MAX_CELL_WIDTH, MAX_DIFF_LINES, MAX_PRINTED_LENGTH, printDiff, printValue, sideBySide, summarizePaths } from './messages.js';
+
+const plain = (text) => text.replace(/\x1b\[\d+m/g, '');
+
+// The parts of a matcher's `this` that messages.js reads
+const context = ({ expand = false, isNot = false, promise = '' } = {}) => ({ utils, equals, expand, isNot, promise });
+
+function failure(assertion) {
+    try {
+        assertion();
+    } catch(err) {
+        return plain(err.message);
+    }
+    throw new Error('Expected the assertion to fail');
+}
+
+const works = (count, title = (index) => `Work ${index}`) => Array.from({ length: count }, (_, index) => ({
+    key: `/works/OL${index}W`,
+    title: title(index),
+    edition_count: 1
+}));
+
+describe('failureMessage', () => {
+    test('starts with the hint and aligns the labels', () => {
+        expect(plain(failureMessage(context({ isNot: true, promise: 'resolves' }), {
+            matcher: 'toBeThing',
+            expectedArgs: 'thing',
+            rows: [['Expected', 'not a thing'], ['Missing', 'nothing'], ['Received', 'a thing']]
+        }))).toBe(
+            'expect(received).resolves.not.toBeThing(thing)\n\nExpected: not a thing\nMissing:  nothing\nReceived: a thing'
+        );
+    });
+
+    test('appends a diff of objects', () => {
+        const message = plain(failureMessage(context(), {
+            matcher: 'toBeThing',
+            rows: [['Expected', 'a thing']],
+            diff: true,
+            expected: { title: 'One', year: 2001 },
+            received: { title: 'One', year: 2003 }
+        }));
+
+        expect(message).toContain('- Expected\n+ Received');
+        expect(message).toContain('-   "year": 2001,\n+   "year": 2003,');
+    });
+
+    test('leaves the diff out for primitives', () => {
+        expect(plain(failureMessage(context(), { matcher: 'toBeThing', rows: [['Received', '1']], diff: true, expected: 1, received: 2 }))).toBe(
+            'expect(received).toBeThing()\n\nReceived: 1'
+        );
+    });
+
+    test('cuts long detail lists', () => {
+        const details = Array.from({ length: MAX_DIFF_LINES + 5 }, (_, index) => `issue ${index}`);
+        const message = plain(failureMessage(context(), { matcher: 'toBeThing', rows: [['Received', 'x']], details, detailNoun: 'issues' }));
+
+        expect(message).toContain(`issue ${MAX_DIFF_LINES - 1}\n… 5 more issues, run with --expand to see them all`);
+        expect(plain(failureMessage(context({ expand: true }), { matcher: 'toBeThing', rows: [['Received', 'x']], details }))).toContain(`issue ${MAX_DIFF_LINES + 4}`);
+    });
+});
+
+describe('printDiff', () => {
+    test('truncates huge diffs and summarises the paths that differ', () => {
+        const expected = { works: works(200) };
+        const received = { works: works(200, index => index % 20 ? `Work ${index}` : `Renamed ${index}`) };
+        const lines = plain(printDiff(context(), expected, received)).split('\n');
+
+        expect(lines).toHaveLength(MAX_DIFF_LINES + 3);
+        expect(lines.at(-3)).toMatch(/^… \d+ more lines, run with --expand to see them all$/);
+        expect(lines.at(-1)).toBe(
+            'Differs at 10 paths: works[0].title, works[20].title, works[40].title, works[60].title, works[80].title, ' +
+            'works[100].title, works[120].title, works[140].title, works[160].title, works[180].title'
+        );
+    });
+
+    test('shows everything with --expand', () => {
+        const expected = { works: works(200) };
+        const received = { works: works(200, index => `Renamed ${index}`) };
+        const diff = plain(printDiff(context({ expand: true }), expected, received));
+
+        expect(diff).toContain('+       "title": "Renamed 199",');
+        expect(diff).not.toContain('Differs at');
+    });
+});
+
+describe('differingPaths', () => {
+    test('walks objects and arrays', () => {
+        expect(differingPaths(context(), { a: { b: [1, 2] }, c: 1 }, { a: { b: [1, 3] }, c: 1, d: true })).toEqual(['a.b[1]', 'd']);
+        expect(differingPaths(context(), 1, 2)).toEqual(['(root)']);
+        expect(differingPaths(context(), { at: new Date(0) }, { at: new Date(1) })).toEqual(['at']);
+    });
+
+    test('respects asymmetric matchers', () => {
+        expect(differingPaths(context(), { title: expect.any(String), year: 1 }, { title: 'One', year: 2 })).toEqual(['year']);
+    });
+
+    test('summarizePaths caps the list', () => {
+        expect(summarizePaths(['a'])).toBe('Differs at one path: a');
+        expect(summarizePaths(Array.from({ length: 12 }, (_, index) => `p${index}`))).toBe(
+            'Differs at 12 paths: p0, p1, p2, p3, p4, p5, p6, p7, p8, p9 and 2 more'
+        );
+    });
+});
+
+describe('sideBySide', () => {
+    const long = JSON.stringify('x'.repeat(60));
+
+    test('lines up the columns and marks mismatches', () => {
+        expect(plain(sideBySide(context(), [
+            { label: 1, expected: '"a"', received: '"a"', status: 'match' },
+            { label: 2, expected: '"bb"', received: '"c"', status: 'mismatch' },
+            { label: 3, expected: '', received: '"d"', status: 'skip' }
+        ], { receivedTitle: 'Actual' }))).toBe([
+            '     Expected  Actual',
+            '  1  "a"       "a"',
+            '× 2  "bb"      "c"',
+            '  3            "d"'
+        ].join('\n'));
+    });
+
+    test('cuts long cells unless expanded', () => {
+        const rows = [{ label: 1, expected: long, received: long, status: 'match' }];
+
+        expect(plain(sideBySide(context(), rows)).split('\n')[1]).toBe(`  1  ${long.slice(0, MAX_CELL_WIDTH - 1)}…  ${long.slice(0, MAX_CELL_WIDTH - 1)}…`);
+        expect(plain(sideBySide(context({ expand: true }), rows)).split('\n')[1]).toBe(`  1  ${long}  ${long}`);
+    });
+});
+
+describe('printValue', () => {
+    test('cuts long strings unless expanded', () => {
+        const payload = { description: 'x'.repeat(5000) };
+        const printed = plain(printValue(context(), payload, utils.RECEIVED_COLOR));
+
+        expect(printed).toBe(`${utils.stringify(payload).slice(0, MAX_PRINTED_LENGTH)}… (5019 characters)`);
+        expect(plain(printValue(context({ expand: true }), payload, utils.RECEIVED_COLOR))).toBe(utils.stringify(payload));
+    });
+
+    test('prints every item when expanded', () => {
+        expect(plain(printValue(context(), works(20), utils.RECEIVED_COLOR))).toMatch(/"Work 9"}, …]$/);
+        expect(plain(printValue(context({ expand: true }), works(20), utils.RECEIVED_COLOR))).toMatch(/"Work 19"}]$/);
+    });
+});
+
+describe('matchers using the helper', () => {
+    test('toEventuallyEqual diffs the last value', async () => {
+        let message;
+
+        try {
+            await expect(() => ({ status: 'pending', size: 3 })).toEventuallyEqual({ status: 'ok', size: 3 }, { timeout: 0 });
+        } catch(err) {
+            message = plain(err.message);
+        }
+
+        expect(message).toContain('Expected: eventually {"size": 3, "status": "ok"} within 0 ms');
+        expect(message).toContain('-   "status": "ok",\n+   "status": "pending",');
+    });
+
+    test('toMatchSchema cuts a huge payload', () => {
+        const message = failure(() => expect(works(500).map(work => ({ ...work, title: null }))).toMatchSchema({ type: 'array', items: { type: 'object', properties: { title: { type: 'string' } } } }));
+
+        expect(message).toContain('Expected: to match the schema, found 500 issues');
+        expect(message).toContain('"title": null}, …]\n');
+        expect(message).toContain('… 450 more issues, run with --expand to see them all');
+    });
+});
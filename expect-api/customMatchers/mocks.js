@@ -0,0 +1,206 @@
+import { failureMessage, hint } from './messages.js';
+
+/*
+    Matchers over a mock's whole call log, so a test can assert every call at once instead of
+    repeating toHaveBeenNthCalledWith. Failures print expected and received calls side by side.
+*/
+
+const isMock = (value) => value !== null && value !== undefined && value._isMockFunction === true;
+
+// Unnamed mocks are all called "jest.fn()", which is no help in a table
+function mockName(mock, fallback) {
+    const name = mock.getMockName();
+    return name === 'jest.fn()' ? fallback : name;
+}
+
+function ensureMock(context, matcher, expectedArgs, value) {
+    if (!isMock(value)) {
+        throw new Error(context.utils.matcherErrorMessage(
+            hint(context, matcher, expectedArgs),
+            `${context.utils.RECEIVED_COLOR('received')} value must be a mock function`,
+            context.utils.printWithType('Received', value, context.utils.printReceived)
+        ));
+    }
+}
+
+function ensureList(context, matcher, expectedArgs, value, { ofArrays = false } = {}) {
+    if (!Array.isArray(value) || (ofArrays && !value.every(Array.isArray))) {
+        throw new Error(context.utils.matcherErrorMessage(
+            hint(context, matcher, expectedArgs),
+            `${context.utils.EXPECTED_COLOR('expected')} value must be an array${ofArrays ? ' of argument arrays, e.g. [[\'lemon\'], [\'mango\']]' : ''}`,
+            context.utils.printWithType('Expected', value, context.utils.printExpected)
+        ));
+    }
+}
+
+function printArgs(context, args) {
+    return args.length ? args.map(arg => context.utils.stringify(arg)).join(', ') : '(no arguments)';
+}
+
+function printResult(context, result) {
+    if (result.type === 'throw') {
+        return `threw ${context.utils.stringify(result.value)}`;
+    }
+
+    return result.type === 'incomplete' ? '(has not returned yet)' : context.utils.stringify(result.value);
+}
+
+// expect(drink).toHaveBeenCalledInOrderWith([['lemon'], ['octopus']]): exactly these calls, in this order
+export function toHaveBeenCalledInOrderWith(actual, expectedCalls) {
+    const expectedArgs = 'calls';
+
+    ensureMock(this, 'toHaveBeenCalledInOrderWith', expectedArgs, actual);
+    ensureList(this, 'toHaveBeenCalledInOrderWith', expectedArgs, expectedCalls, { ofArrays: true });
+
+    const calls = actual.mock.calls;
+    const rows = Array.from({ length: Math.max(calls.length, expectedCalls.length) }, (_, index) => ({
+        label: index + 1,
+        expected: index < expectedCalls.length ? printArgs(this, expectedCalls[index]) : '',
+        received: index < calls.length ? printArgs(this, calls[index]) : '',
+        status: index < calls.length && index < expectedCalls.length && this.equals(calls[index], expectedCalls[index]) ? 'match' : 'mismatch'
+    }));
+    const pass = rows.every(row => row.status === 'match');
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toHaveBeenCalledInOrderWith',
+            expectedArgs,
+            receivedName: actual.getMockName(),
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}exactly ${this.utils.pluralize('call', expectedCalls.length)} in this order`],
+                ['Received', this.utils.pluralize('call', calls.length)]
+            ],
+            table: { rows }
+        })
+    };
+}
+
+// expect(drink).toHaveBeenCalledWithSubsequence([['lemon'], ['mango']]): these calls in this order, other calls allowed in between
+export function toHaveBeenCalledWithSubsequence(actual, expectedCalls) {
+    const expectedArgs = 'calls';
+
+    ensureMock(this, 'toHaveBeenCalledWithSubsequence', expectedArgs, actual);
+    ensureList(this, 'toHaveBeenCalledWithSubsequence', expectedArgs, expectedCalls, { ofArrays: true });
+
+    const calls = actual.mock.calls;
+    const rows = [];
+    let matched = 0;
+
+    calls.forEach((args, index) => {
+        const isNext = matched < expectedCalls.length && this.equals(args, expectedCalls[matched]);
+
+        rows.push({
+            label: index + 1,
+            expected: isNext ? printArgs(this, expectedCalls[matched]) : '',
+            received: printArgs(this, args),
+            status: isNext ? 'match' : 'skip'
+        });
+
+        if (isNext) {
+            matched++;
+        }
+    });
+
+    expectedCalls.slice(matched).forEach(args => rows.push({ label: '', expected: printArgs(this, args), received: '', status: 'mismatch' }));
+
+    const pass = matched === expectedCalls.length;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toHaveBeenCalledWithSubsequence',
+            expectedArgs,
+            receivedName: actual.getMockName(),
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}${this.utils.pluralize('call', expectedCalls.length)} in this order, with any calls in between`],
+                ['Received', `${this.utils.pluralize('call', calls.length)}, matching the first ${matched}`]
+            ],
+            table: { rows }
+        })
+    };
+}
+
+// expect(open).toHaveBeenCalledBefore(close): open's first call came before close's first call
+export function toHaveBeenCalledBefore(actual, other) {
+    const expectedArgs = 'otherMock';
+
+    ensureMock(this, 'toHaveBeenCalledBefore', expectedArgs, actual);
+
+    if (!isMock(other)) {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toHaveBeenCalledBefore', expectedArgs),
+            `${this.utils.EXPECTED_COLOR('expected')} value must be a mock function`,
+            this.utils.printWithType('Expected', other, this.utils.printExpected)
+        ));
+    }
+
+    const receivedName = mockName(actual, 'received');
+    const otherName = mockName(other, 'otherMock');
+    const [first] = actual.mock.invocationCallOrder;
+    const [otherFirst] = other.mock.invocationCallOrder;
+    const pass = first !== undefined && otherFirst !== undefined && first < otherFirst;
+
+    // One timeline of both mocks' calls, in the order they happened
+    const timeline = [
+        ...actual.mock.invocationCallOrder.map((order, index) => ({ order, received: printArgs(this, actual.mock.calls[index]) })),
+        ...other.mock.invocationCallOrder.map((order, index) => ({ order, other: printArgs(this, other.mock.calls[index]) }))
+    ].sort((a, b) => a.order - b.order);
+
+    const describeFirst = (order) => order === undefined ? 'never called' : `first called at step ${timeline.findIndex(call => call.order === order) + 1}`;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toHaveBeenCalledBefore',
+            expectedArgs,
+            receivedName: actual.getMockName(),
+            rows: [
+                ['Expected', `${receivedName} ${pass ? 'not ' : ''}to be called before ${otherName}`],
+                ['Received', `${receivedName} ${describeFirst(first)}, ${otherName} ${describeFirst(otherFirst)}`]
+            ],
+            table: {
+                rows: timeline.map((call, index) => ({
+                    label: index + 1,
+                    expected: call.received ?? '',
+                    received: call.other ?? '',
+                    status: !pass && call.order === first ? 'mismatch' : 'match'
+                })),
+                expectedTitle: receivedName,
+                receivedTitle: otherName
+            }
+        })
+    };
+}
+
+// expect(pour).toHaveReturnedInOrder(['lemon', 'mango']): exactly these return values, in this order
+export function toHaveReturnedInOrder(actual, expectedValues) {
+    const expectedArgs = 'values';
+
+    ensureMock(this, 'toHaveReturnedInOrder', expectedArgs, actual);
+    ensureList(this, 'toHaveReturnedInOrder', expectedArgs, expectedValues);
+
+    const results = actual.mock.results;
+    const rows = Array.from({ length: Math.max(results.length, expectedValues.length) }, (_, index) => ({
+        label: index + 1,
+        expected: index < expectedValues.length ? this.utils.stringify(expectedValues[index]) : '',
+        received: index < results.length ? printResult(this, results[index]) : '',
+        status: index < results.length && index < expectedValues.length &&
+            results[index].type === 'return' && this.equals(results[index].value, expectedValues[index]) ? 'match' : 'mismatch'
+    }));
+    const pass = rows.every(row => row.status === 'match');
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toHaveReturnedInOrder',
+            expectedArgs,
+            receivedName: actual.getMockName(),
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}exactly ${this.utils.pluralize('return value', expectedValues.length)} in this order`],
+                ['Received', this.utils.pluralize('call', results.length)]
+            ],
+            table: { rows }
+        })
+    };
+}
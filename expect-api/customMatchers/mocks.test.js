@@ -0,0 +1,168 @@
+function failure(assertion) {
+    try {
+        assertion();
+    } catch(err) {
+        return err.message.replace(/\x1b\[\d+m/g, '');
+    }
+    throw new Error('Expected the assertion to fail');
+}
+
+function drinkEach(drink, flavors) {
+    flavors.forEach(flavor => drink(flavor));
+}
+
+describe('toHaveBeenCalledInOrderWith', () => {
+    test('checks every call at once', () => {
+        const drink = jest.fn();
+        drinkEach(drink, ['lemon', 'octopus']);
+
+        expect(drink).toHaveBeenCalledInOrderWith([['lemon'], ['octopus']]);
+        expect(drink).toHaveBeenCalledInOrderWith([[expect.any(String)], ['octopus']]);
+        expect(drink).not.toHaveBeenCalledInOrderWith([['octopus'], ['lemon']]);
+        expect(drink).not.toHaveBeenCalledInOrderWith([['lemon']]);
+        expect(jest.fn()).toHaveBeenCalledInOrderWith([]);
+    });
+
+    test('prints expected and received calls side by side', () => {
+        const drink = jest.fn().mockName('drink');
+        drinkEach(drink, ['lemon', 'mango', 'grape']);
+
+        expect(failure(() => expect(drink).toHaveBeenCalledInOrderWith([['lemon'], ['octopus']]))).toBe([
+            'expect(drink).toHaveBeenCalledInOrderWith(calls)',
+            '',
+            'Expected: exactly two calls in this order',
+            'Received: three calls',
+            '',
+            '     Expected   Received',
+            '  1  "lemon"    "lemon"',
+            '× 2  "octopus"  "mango"',
+            '× 3             "grape"'
+        ].join('\n'));
+    });
+
+    test('shows calls without arguments and several arguments', () => {
+        const log = jest.fn();
+        log();
+        log('a', 1);
+
+        expect(failure(() => expect(log).toHaveBeenCalledInOrderWith([[], ['a', 2]]))).toContain(
+            '  1  (no arguments)  (no arguments)\n× 2  "a", 2          "a", 1'
+        );
+    });
+
+    test('throws on bad arguments', () => {
+        expect(failure(() => expect(() => {}).toHaveBeenCalledInOrderWith([]))).toContain('received value must be a mock function');
+        expect(failure(() => expect(jest.fn()).toHaveBeenCalledInOrderWith(['lemon']))).toContain('expected value must be an array of argument arrays');
+    });
+});
+
+describe('toHaveBeenCalledWithSubsequence', () => {
+    const flavors = ['grape', 'strawberry', 'orange', 'mango'];
+
+    test('allows other calls in between', () => {
+        const drink = jest.fn();
+        drinkEach(drink, flavors);
+
+        expect(drink).toHaveBeenCalledWithSubsequence([['grape'], ['mango']]);
+        expect(drink).toHaveBeenCalledWithSubsequence([]);
+        expect(drink).not.toHaveBeenCalledWithSubsequence([['mango'], ['grape']]);
+    });
+
+    test('shows which calls matched and what is missing', () => {
+        const drink = jest.fn();
+        drinkEach(drink, flavors);
+
+        expect(failure(() => expect(drink).toHaveBeenCalledWithSubsequence([['strawberry'], ['grape'], ['mango']]))).toBe([
+            'expect(jest.fn()).toHaveBeenCalledWithSubsequence(calls)',
+            '',
+            'Expected: three calls in this order, with any calls in between',
+            'Received: four calls, matching the first 1',
+            '',
+            '     Expected      Received',
+            '  1                "grape"',
+            '  2  "strawberry"  "strawberry"',
+            '  3                "orange"',
+            '  4                "mango"',
+            '×    "grape"',
+            '×    "mango"'
+        ].join('\n'));
+    });
+});
+
+describe('toHaveBeenCalledBefore', () => {
+    test('compares the first calls', () => {
+        const open = jest.fn();
+        const close = jest.fn();
+
+        open();
+        close();
+        open();
+
+        expect(open).toHaveBeenCalledBefore(close);
+        expect(close).not.toHaveBeenCalledBefore(open);
+        expect(open).not.toHaveBeenCalledBefore(jest.fn());
+        expect(jest.fn()).not.toHaveBeenCalledBefore(open);
+    });
+
+    test('prints both mocks on one timeline', () => {
+        const open = jest.fn().mockName('open');
+        const close = jest.fn().mockName('close');
+
+        close('early');
+        open('file');
+        close('file');
+
+        expect(failure(() => expect(open).toHaveBeenCalledBefore(close))).toBe([
+            'expect(open).toHaveBeenCalledBefore(otherMock)',
+            '',
+            'Expected: open to be called before close',
+            'Received: open first called at step 2, close first called at step 1',
+            '',
+            '     open    close',
+            '  1          "early"',
+            '× 2  "file"',
+            '  3          "file"'
+        ].join('\n'));
+    });
+
+    test('reports a mock that was never called', () => {
+        expect(failure(() => expect(jest.fn()).toHaveBeenCalledBefore(jest.fn()))).toContain(
+            'Received: received never called, otherMock never called'
+        );
+    });
+
+    test('needs two mocks', () => {
+        expect(failure(() => expect(jest.fn()).toHaveBeenCalledBefore(() => {}))).toContain('expected value must be a mock function');
+    });
+});
+
+describe('toHaveReturnedInOrder', () => {
+    function applyToAllFlavors(fn) {
+        return ['grape', 'strawberry', 'orange', 'mango'].map(flavor => fn(flavor));
+    }
+
+    test('checks every return value at once', () => {
+        const pour = jest.fn(flavor => `${flavor} La Croix`);
+        applyToAllFlavors(pour);
+
+        expect(pour).toHaveReturnedInOrder(['grape La Croix', 'strawberry La Croix', 'orange La Croix', 'mango La Croix']);
+        expect(pour).not.toHaveReturnedInOrder(['grape La Croix']);
+    });
+
+    test('shows thrown errors in the table', () => {
+        const pour = jest.fn()
+            .mockReturnValueOnce('grape')
+            .mockImplementationOnce(() => {
+                throw new Error('spilt');
+            });
+
+        pour();
+        expect(() => pour()).toThrow('spilt');
+
+        expect(failure(() => expect(pour).toHaveReturnedInOrder(['grape', 'strawberry']))).toContain([
+            '     Expected      Received',
+            '  1  "grape"       "grape"',
+            '× 2  "strawberry"  threw [Error: spilt]'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,130 @@
+import { failureMessage, hint } from './messages.js';
+
+/*
+    Numeric matchers. Usage errors (wrong argument types) throw instead of failing,
+    the same way Jest's own toBeGreaterThan does.
+*/
+
+function ensureNumbers(context, name, expectedArgs, values) {
+    for (const [label, value] of Object.entries(values)) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(context.utils.matcherErrorMessage(
+                hint(context, name, expectedArgs),
+                `${label} value must be a number`,
+                context.utils.printWithType(label, value, context.utils.printReceived)
+            ));
+        }
+    }
+}
+
+const BOUNDS = ['[]', '()', '[)', '(]'];
+
+// Bounds can be numbers, bigints or Dates, but all three values of one assertion must be the same kind
+function kindOf(value) {
+    if (typeof value === 'number' && !Number.isNaN(value)) {
+        return 'number';
+    }
+
+    if (typeof value === 'bigint') {
+        return 'bigint';
+    }
+
+    return value instanceof Date && !Number.isNaN(value.getTime()) ? 'Date' : null;
+}
+
+const difference = (from, to) => from instanceof Date ? to.getTime() - from.getTime() : to - from;
+
+const UNITS = {
+    number: (distance) => String(distance),
+    bigint: (distance) => `${distance}n`,
+    Date: (distance) => `${distance} ms`
+};
+
+const printBound = (value) => value instanceof Date ? value.toISOString() : typeof value === 'bigint' ? `${value}n` : String(value);
+
+/*
+    expect(100).toBeWithinRange(90, 110) has inclusive bounds.
+    expect(takenAt).toBeWithinRange({ min: start, max: end, inclusive: '[)' }) picks them with interval notation.
+*/
+export function toBeWithinRange(actual, floor, ceiling) {
+    const isOptions = floor !== null && typeof floor === 'object' && !(floor instanceof Date);
+    const { min, max, inclusive = '[]' } = isOptions ? floor : { min: floor, max: ceiling };
+    const expectedArgs = isOptions ? '{ min, max, inclusive }' : 'floor, ceiling';
+
+    if (!BOUNDS.includes(inclusive)) {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toBeWithinRange', expectedArgs),
+            `inclusive must be one of ${BOUNDS.map(bounds => this.utils.printExpected(bounds)).join(', ')}`,
+            this.utils.printWithType('Inclusive', inclusive, this.utils.printExpected)
+        ));
+    }
+
+    const kinds = [actual, min, max].map(kindOf);
+
+    if (kinds.includes(null) || new Set(kinds).size > 1) {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toBeWithinRange', expectedArgs),
+            'received value, min and max must all be numbers, all bigints or all Dates',
+            [
+                this.utils.printWithType('Received', actual, this.utils.printReceived),
+                this.utils.printWithType('Min', min, this.utils.printExpected),
+                this.utils.printWithType('Max', max, this.utils.printExpected)
+            ].join('\n\n')
+        ));
+    }
+
+    const unit = UNITS[kinds[0]];
+    const belowMin = difference(actual, min);
+    const aboveMax = difference(max, actual);
+    const aboveMin = inclusive[0] === '[' ? belowMin <= 0 : belowMin < 0;
+    const belowMax = inclusive[1] === ']' ? aboveMax <= 0 : aboveMax < 0;
+    const pass = aboveMin && belowMax;
+    const range = this.utils.EXPECTED_COLOR(`${inclusive[0]}${printBound(min)}, ${printBound(max)}${inclusive[1]}`);
+
+    let distance;
+
+    if (pass && -belowMin <= -aboveMax) {
+        distance = belowMin < 0 ? `${unit(-belowMin)} above the lower bound` : 'on the lower bound';
+    } else if (pass) {
+        distance = aboveMax < 0 ? `${unit(-aboveMax)} below the upper bound` : 'on the upper bound';
+    } else if (!aboveMin) {
+        distance = belowMin > 0 ? `${unit(belowMin)} below the lower bound` : 'on the excluded lower bound';
+    } else {
+        distance = aboveMax > 0 ? `${unit(aboveMax)} above the upper bound` : 'on the excluded upper bound';
+    }
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toBeWithinRange',
+            expectedArgs,
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}within range ${range}`],
+                ['Received', `${this.utils.printReceived(actual)}, ${distance}`]
+            ]
+        })
+    };
+}
+
+// expect(104).toBeWithinPercent(100, 5): within 5% of 100, i.e. 95 - 105
+export function toBeWithinPercent(actual, expected, percent) {
+    ensureNumbers(this, 'toBeWithinPercent', 'expected, percent', { Received: actual, Expected: expected, Percent: percent });
+
+    const tolerance = Math.abs(expected) * percent / 100;
+    const difference = Math.abs(actual - expected);
+    const pass = difference <= tolerance;
+    const off = expected ? `${(difference / Math.abs(expected) * 100).toFixed(2)}%` : difference;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toBeWithinPercent',
+            expectedArgs: 'expected, percent',
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}within ${percent}% of ${this.utils.printExpected(expected)} ` +
+                    `(${this.utils.printExpected(expected - tolerance)} - ${this.utils.printExpected(expected + tolerance)})`],
+                ['Received', `${this.utils.printReceived(actual)} (off by ${off})`]
+            ]
+        })
+    };
+}
@@ -0,0 +1,93 @@
+// Runs the assertion and returns its failure message without colours
+function failure(assertion) {
+    try {
+        assertion();
+    } catch(err) {
+        return err.message.replace(/\x1b\[\d+m/g, '');
+    }
+    throw new Error('Expected the assertion to fail');
+}
+
+describe('toBeWithinRange', () => {
+    test('includes both bounds', () => {
+        expect(90).toBeWithinRange(90, 110);
+        expect(110).toBeWithinRange(90, 110);
+        expect(89.9).not.toBeWithinRange(90, 110);
+    });
+
+    test('works asymmetrically', () => {
+        expect({ year: 2003 }).toEqual({ year: expect.toBeWithinRange(2000, 2010) });
+        expect({ year: 1999 }).toEqual({ year: expect.not.toBeWithinRange(2000, 2010) });
+    });
+
+    test('failure messages give the distance from the nearest bound', () => {
+        expect(failure(() => expect(101).toBeWithinRange(0, 100))).toBe(
+            'expect(received).toBeWithinRange(floor, ceiling)\n\nExpected: within range [0, 100]\nReceived: 101, 1 above the upper bound'
+        );
+        expect(failure(() => expect(30).not.toBeWithinRange(0, 100))).toBe(
+            'expect(received).not.toBeWithinRange(floor, ceiling)\n\nExpected: not within range [0, 100]\nReceived: 30, 30 above the lower bound'
+        );
+        expect(failure(() => expect(-5).toBeWithinRange(0, 100))).toContain('Received: -5, 5 below the lower bound');
+        expect(failure(() => expect(100).not.toBeWithinRange(0, 100))).toContain('Received: 100, on the upper bound');
+    });
+
+    test.each([
+        ['[]', 0, true], ['[]', 10, true],
+        ['()', 0, false], ['()', 10, false], ['()', 5, true],
+        ['[)', 0, true], ['[)', 10, false],
+        ['(]', 0, false], ['(]', 10, true]
+    ])('%s bounds with %i', (inclusive, value, pass) => {
+        const assertion = expect(value);
+
+        (pass ? assertion : assertion.not).toBeWithinRange({ min: 0, max: 10, inclusive });
+    });
+
+    test('names the excluded bound that was hit', () => {
+        expect(failure(() => expect(10).toBeWithinRange({ min: 0, max: 10, inclusive: '[)' }))).toBe(
+            'expect(received).toBeWithinRange({ min, max, inclusive })\n\nExpected: within range [0, 10)\nReceived: 10, on the excluded upper bound'
+        );
+    });
+
+    test('accepts bigints', () => {
+        expect(2n ** 64n).toBeWithinRange({ min: 0n, max: 2n ** 64n });
+        expect(failure(() => expect(12n).toBeWithinRange(1n, 10n))).toContain('Received: 12n, 2n above the upper bound');
+    });
+
+    test('accepts Dates', () => {
+        const start = new Date('2023-01-01T00:00:00.000Z');
+        const end = new Date('2023-01-02T00:00:00.000Z');
+
+        expect(new Date('2023-01-01T12:00:00.000Z')).toBeWithinRange({ min: start, max: end, inclusive: '[)' });
+        expect({ at: end }).toEqual({ at: expect.not.toBeWithinRange({ min: start, max: end, inclusive: '[)' }) });
+        expect(failure(() => expect(new Date('2023-01-02T00:00:01.500Z')).toBeWithinRange(start, end))).toContain(
+            'Expected: within range [2023-01-01T00:00:00.000Z, 2023-01-02T00:00:00.000Z]'
+        );
+        expect(failure(() => expect(new Date('2023-01-02T00:00:01.500Z')).toBeWithinRange(start, end))).toContain('1500 ms above the upper bound');
+    });
+
+    test('throws a usage error for mixed or unsupported types', () => {
+        expect(failure(() => expect(5n).toBeWithinRange(0, 10))).toContain('received value, min and max must all be numbers, all bigints or all Dates');
+        expect(failure(() => expect(Date.now()).toBeWithinRange({ min: new Date(0), max: new Date() }))).toContain('must all be numbers');
+        expect(failure(() => expect('5').toBeWithinRange(0, 10))).toContain('Received has type:  string');
+        expect(failure(() => expect(new Date('nope')).toBeWithinRange(new Date(0), new Date()))).toContain('must all be numbers');
+    });
+
+    test('throws on unknown bounds notation', () => {
+        expect(failure(() => expect(5).toBeWithinRange({ min: 0, max: 10, inclusive: '[[' }))).toContain('inclusive must be one of "[]", "()", "[)", "(]"');
+    });
+});
+
+describe('toBeWithinPercent', () => {
+    test('compares relative to the expected value', () => {
+        expect(105).toBeWithinPercent(100, 5);
+        expect(-95).toBeWithinPercent(-100, 5);
+        expect(106).not.toBeWithinPercent(100, 5);
+        expect([0.1 + 0.2]).toEqual([expect.toBeWithinPercent(0.3, 0.001)]);
+    });
+
+    test('reports how far off the value was', () => {
+        expect(failure(() => expect(110).toBeWithinPercent(100, 5))).toBe(
+            'expect(received).toBeWithinPercent(expected, percent)\n\nExpected: within 5% of 100 (95 - 105)\nReceived: 110 (off by 10.00%)'
+        );
+    });
+});
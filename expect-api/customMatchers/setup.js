@@ -0,0 +1,4 @@
+// Registered through setupFilesAfterEnv in package.json, so every test file can use the shared matchers
+import { matchers } from './index.js';
+
+expect.extend(matchers);
@@ -0,0 +1,91 @@
+import { formatIssue, validate } from '../toHaveBeenCalledWith/validate.js';
+import { failureMessage, hint, printValue } from './messages.js';
+
+// expect(work).toContainAllKeys(['key', 'title']): every listed own key is present, extra keys are fine
+export function toContainAllKeys(actual, keys) {
+    if (!Array.isArray(keys)) {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toContainAllKeys', 'keys'),
+            `${this.utils.EXPECTED_COLOR('expected')} value must be an array of keys`,
+            this.utils.printWithType('Expected', keys, this.utils.printExpected)
+        ));
+    }
+
+    const isObject = actual !== null && typeof actual === 'object';
+    const missing = isObject ? keys.filter(key => !Object.prototype.hasOwnProperty.call(actual, key)) : keys;
+    const pass = isObject && !missing.length;
+    const rows = [['Expected', `${pass ? 'not ' : ''}to contain keys ${this.utils.printExpected(keys)}`]];
+
+    if (!pass) {
+        rows.push(['Missing', this.utils.printExpected(missing)]);
+    }
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toContainAllKeys',
+            expectedArgs: 'keys',
+            rows: [...rows, ['Received', printValue(this, isObject ? Object.keys(actual) : actual, this.utils.RECEIVED_COLOR)]]
+        })
+    };
+}
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+// Date.parse quietly rolls 2023-02-30 over to March, so the fields are range checked by hand
+function isISODate(value) {
+    const match = typeof value === 'string' && value.match(ISO_DATE);
+
+    if (!match) {
+        return false;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(group => Number(group ?? 0));
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth && hours <= 23 && minutes <= 59 && seconds <= 59;
+}
+
+// expect(snapshot.takenAt).toBeISODateString(): a calendar date, optionally with a time and zone ('2023-01-31T12:00:00.000Z')
+export function toBeISODateString(actual) {
+    const pass = isISODate(actual);
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toBeISODateString',
+            rows: [
+                ['Expected', `${pass ? 'not ' : ''}an ISO 8601 date string`],
+                ['Received', printValue(this, actual, this.utils.RECEIVED_COLOR)]
+            ]
+        })
+    };
+}
+
+// expect(payload).toMatchSchema(workSchema), using the schema language from validate.js
+export function toMatchSchema(actual, schema) {
+    if (!schema || typeof schema.type !== 'string') {
+        throw new Error(this.utils.matcherErrorMessage(
+            hint(this, 'toMatchSchema', 'schema'),
+            `${this.utils.EXPECTED_COLOR('expected')} value must be a schema with a type`,
+            this.utils.printWithType('Expected', schema, this.utils.printExpected)
+        ));
+    }
+
+    const issues = validate(actual, schema);
+    const pass = !issues.length;
+
+    return {
+        pass,
+        message: () => failureMessage(this, {
+            matcher: 'toMatchSchema',
+            expectedArgs: 'schema',
+            rows: [
+                ['Expected', pass ? 'not to match the schema' : `to match the schema, found ${this.utils.pluralize('issue', issues.length)}`],
+                ['Received', printValue(this, actual, this.utils.RECEIVED_COLOR)]
+            ],
+            details: issues.map(issue => `  ${this.utils.RECEIVED_COLOR(formatIssue(issue))}`),
+            detailNoun: 'issues'
+        })
+    };
+}
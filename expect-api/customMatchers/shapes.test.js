@@ -0,0 +1,73 @@
+import { workSchema } from '../toHaveBeenCalledWith/validate.js';
+
+function failure(assertion) {
+    try {
+        assertion();
+    } catch(err) {
+        return err.message.replace(/\x1b\[\d+m/g, '');
+    }
+    throw new Error('Expected the assertion to fail');
+}
+
+describe('toContainAllKeys', () => {
+    test('allows extra keys', () => {
+        expect({ key: '/works/OL1W', title: 'One', extra: true }).toContainAllKeys(['key', 'title']);
+        expect({ key: '/works/OL1W' }).not.toContainAllKeys(['key', 'title']);
+        expect(null).not.toContainAllKeys(['key']);
+        expect([{ a: 1, b: 2 }]).toEqual([expect.toContainAllKeys(['a'])]);
+    });
+
+    test('lists the missing keys', () => {
+        expect(failure(() => expect({ key: 'k' }).toContainAllKeys(['key', 'title', 'authors']))).toBe(
+            'expect(received).toContainAllKeys(keys)\n\nExpected: to contain keys ["key", "title", "authors"]\n' +
+            'Missing:  ["title", "authors"]\nReceived: ["key"]'
+        );
+    });
+});
+
+describe('toBeISODateString', () => {
+    test.each([
+        '2023-01-31',
+        '2023-01-31T12:00Z',
+        '2023-01-31T12:00:00.000Z',
+        '2024-02-29T23:59:59+02:00'
+    ])('accepts %s', (value) => {
+        expect(value).toBeISODateString();
+    });
+
+    test.each([
+        '2023-02-29',
+        '2023-13-01',
+        '2023-01-31T24:00:00Z',
+        '31/01/2023',
+        '2023-01-31 12:00',
+        1675166400000
+    ])('rejects %p', (value) => {
+        expect(value).not.toBeISODateString();
+    });
+
+    test('works asymmetrically', () => {
+        expect({ takenAt: new Date().toISOString() }).toEqual({ takenAt: expect.toBeISODateString() });
+    });
+});
+
+describe('toMatchSchema', () => {
+    const work = { key: '/works/OL1W', title: 'One', authors: [{ key: '/authors/OL1A', name: 'Someone' }] };
+
+    test('validates with validate.js schemas', () => {
+        expect(work).toMatchSchema(workSchema);
+        expect({ ...work, title: 7 }).not.toMatchSchema(workSchema);
+        expect([work]).toEqual([expect.toMatchSchema(workSchema)]);
+    });
+
+    test('lists every issue', () => {
+        expect(failure(() => expect({ key: 1, authors: [{}] }).toMatchSchema(workSchema))).toContain(
+            'expect(received).toMatchSchema(schema)\n\nExpected: to match the schema, found three issues\nReceived: {"authors": [{}], "key": 1}\n\n'
+        );
+        expect(failure(() => expect({ key: 1 }).toMatchSchema(workSchema))).toContain('key: expected string, got number');
+    });
+
+    test('throws without a schema', () => {
+        expect(failure(() => expect(work).toMatchSchema())).toContain('expected value must be a schema with a type');
+    });
+});
@@ -90,6 +90,16 @@ describe('drinkEach', () => {
         drinkEach(drink, ['lemon', 'octopus']);
         expect(drink).toHaveBeenCalledTimes(2);
     });
+
+    test('drinkEach pours before drinking', () => {
+        const pour = jest.fn();
+        const drink = jest.fn();
+        drinkEach((flavour) => {
+            pour(flavour);
+            drink(flavour);
+        }, ['lemon', 'octopus']);
+        expect(pour).toHaveBeenCalledBefore(drink);
+    });
 });
 
 /*
@@ -186,6 +196,13 @@ describe('applyToAllFlavors', () => {
         applyToAllFlavors(drink);
         expect(drink).toHaveBeenLastCalledWith('mango');
     });
+
+    test('applying to all flavors does grape before mango', () => {
+        const drink = jest.fn(flavor => `${flavor} La Croix`);
+        applyToAllFlavors(drink);
+        expect(drink).toHaveBeenCalledWithSubsequence([['grape'], ['mango']]);
+        expect(drink).toHaveReturnedInOrder(['grape La Croix', 'strawberry La Croix', 'orange La Croix', 'mango La Croix']);
+    });
 });
 
 /*
@@ -222,8 +239,25 @@ describe('drinkEachTwo', () => {
         drinkEachTwo(drink, ['lemon', 'octopus']);
         expect(drink).toHaveBeenNthCalledWith(2, 'octopus');
     });
+
+    // customMatchers/mocks.js checks the whole call log in one assertion, see the note below
+    test('drinkEachTwo drinks lemon then octopus', () => {
+        const drink = jest.fn();
+        drinkEachTwo(drink, ['lemon', 'octopus']);
+        expect(drink).toHaveBeenCalledInOrderWith([['lemon'], ['octopus']]);
+    });
 });
 
+/*
+    Call-log matchers (customMatchers/mocks.js, registered for every test file):
+    - toHaveBeenCalledInOrderWith([[args]...]): exactly these calls, in this order
+    - toHaveBeenCalledWithSubsequence([[args]...]): these calls in this order, other calls allowed in between
+    - toHaveBeenCalledBefore(otherMock): the first call came before otherMock's first call
+    - toHaveReturnedInOrder([values]): exactly these return values, in this order
+
+    When they fail they print the expected and received calls side by side, one row per call.
+*/
+
 /*
     .toHaveReturned()
     Also under the alias: .toReturn()
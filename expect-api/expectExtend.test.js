@@ -1,3 +1,5 @@
+import { resetExternalValueProvider, setExternalValueProvider } from './customMatchers/index.js';
+
 /*
     expect.extend(matchers): You can use expect.extend to add your own matchers to Jest
 
@@ -6,31 +8,14 @@
     that into a toBeWithinRange matcher
 */
 
-function toBeWithinRange(actual, floor, ceiling) {
-    if (
-        typeof actual !== 'number' ||
-        typeof floor !== 'number' ||
-        typeof ceiling !== 'number'
-    ) {
-        throw new Error('Parameters must be of type number!');
-    }
-
-    const pass = actual >= floor && actual <= ceiling;
-
-    if (pass) {
-        return {
-            message: () => `expected ${this.utils.printReceived(actual)} not to be within range ${this.utils.printExpected(`${floor} - ${ceiling}`)}`,
-            pass: true
-        };
-    } else {
-        return {
-            message: () => `expected ${this.utils.printReceived(actual)} to be within range ${this.utils.printExpected(`${floor} - ${ceiling}`)}`,
-            pass: false
-        };
-    }
-}
-
-expect.extend({toBeWithinRange,});
+/*
+    toBeWithinRange now lives in customMatchers/numbers.js together with the other shared matchers.
+    customMatchers/setup.js calls expect.extend with all of them, and package.json lists it under
+    jest.setupFilesAfterEnv so it runs before every test file:
+
+    import { matchers } from './index.js';
+    expect.extend(matchers);
+*/
 
 // Now, you will be using your newly created matcher to test whether numbers are within specified range or not
 test('is within range', () => {
@@ -61,31 +46,24 @@ test('asymmetric ranges', () => {
     called toBeDivisibleByExternalValue, where the divisible number is going to be pulled from an 
     external source.
 
-    Code:
-    expect.extend({
-        async toBeDivisibleByExternalValue(received) {
-            const externalValue = await getExternalValueFromRemoteSource();
-            const pass = received % externalValue == 0;
-
-            if (pass) {
-                return {
-                    message: () => `expected ${received} not to be divisible by ${externalValue}`,
-                    pass: true
-                };
-            } else {
-                return {
-                    message: () => `expected ${received} to be divisible by ${externalValue}`,
-                    pass: false
-                };
-            }
-        }
+    toBeDivisibleByExternalValue now lives in customMatchers/async.js. The external value comes from
+    a provider that each test registers with setExternalValueProvider, so no real remote source is needed.
+*/
+
+describe('is divisible by external value', () => {
+    beforeEach(() => {
+        setExternalValueProvider(async () => 10);
+    });
+
+    afterEach(() => {
+        resetExternalValueProvider();
     });
 
     test('is divisible by external value', async () => {
         await expect(100).toBeDivisibleByExternalValue();
         await expect(101).not.toBeDivisibleByExternalValue();
     });
-*/
+});
 
 // --------------------------------------------------------------------------
 
@@ -196,5 +174,11 @@ test('asymmetric ranges', () => {
 
     -----
 
+    customMatchers/messages.js packages this pattern up for our own matchers: failureMessage() builds
+    the matcherHint, the aligned Expected/Received lines and a jest-diff that honours this.expand.
+    Without --expand, huge diffs are cut short and summarised by the paths that differ.
+
+    -----
+
     
 */
\ No newline at end of file
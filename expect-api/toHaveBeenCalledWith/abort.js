@@ -0,0 +1,76 @@
+import { AbortError, TimeoutError } from './errors.js';
+
+export function toAbortError(reason) {
+    return reason instanceof AbortError ? reason : new AbortError('The operation was aborted', { cause: reason });
+}
+
+export function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw toAbortError(signal.reason);
+    }
+}
+
+/**
+ * Derives one signal that aborts when the caller's signal does or when timeoutMs elapses.
+ * The timer is a plain setTimeout so Jest fake timers control it. Call dispose() once the work settles.
+ */
+export function linkSignal({ signal, timeoutMs } = {}) {
+    const controller = new AbortController();
+    const forward = () => controller.abort(signal.reason);
+    let timer;
+
+    if (signal?.aborted) {
+        forward();
+    } else {
+        signal?.addEventListener('abort', forward, { once: true });
+    }
+
+    if (timeoutMs !== undefined && timeoutMs !== null) {
+        timer = setTimeout(() => {
+            controller.abort(new TimeoutError(`Timed out after ${timeoutMs}ms`, { timeoutMs }));
+        }, timeoutMs);
+    }
+
+    return {
+        signal: controller.signal,
+        dispose() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', forward);
+        }
+    };
+}
+
+// Rejects with an AbortError as soon as the signal fires, even if the promise itself never settles
+export function raceAbort(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(toAbortError(signal.reason));
+
+        // Subscribed even when already aborted, so a later rejection of promise is never unhandled
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// Runs fn(signal) under the caller's { signal, timeoutMs }
+export async function runWithSignal({ signal, timeoutMs } = {}, fn) {
+    if (!signal && (timeoutMs === undefined || timeoutMs === null)) {
+        return fn(undefined);
+    }
+
+    const linked = linkSignal({ signal, timeoutMs });
+
+    try {
+        return await raceAbort(Promise.resolve().then(() => fn(linked.signal)), linked.signal);
+    } finally {
+        linked.dispose();
+    }
+}
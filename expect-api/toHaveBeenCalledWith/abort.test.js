@@ -0,0 +1,132 @@
+import { createBooksClient } from './books.js';
+import { EXIT_ABORTED, run } from './cli.js';
+import { AbortError, TimeoutError } from './errors.js';
+
+/*
+    A transport that never answers unless its signal fires, like a hung socket.
+    The timeouts are setTimeout based, so fake timers decide when they expire.
+*/
+function hangingTransport() {
+    return {
+        get: jest.fn((url, { signal } = {}) => new Promise((resolve, reject) => {
+            signal?.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+        }))
+    };
+}
+
+describe('timeouts', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('timeoutMs rejects with a TimeoutError and aborts the request', async () => {
+        const transport = hangingTransport();
+        const client = createBooksClient({ transport });
+
+        const titles = client.getTitlesBySubject('javascript', { timeoutMs: 1000 });
+        const assertion = expect(titles).rejects.toMatchObject({ name: 'TimeoutError', timeoutMs: 1000 });
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        await assertion;
+        expect(transport.get.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+
+    test('the timeout covers retry backoff too', async () => {
+        const transport = { get: jest.fn().mockRejectedValue(Object.assign(new Error('503'), { response: { status: 503, headers: {} } })) };
+        const client = createBooksClient({ transport, retry: { maxAttempts: 5, baseDelayMs: 1000, jitter: 0 } });
+
+        const books = client.getBooksBySubject('javascript', { timeoutMs: 1500 });
+        const assertion = expect(books).rejects.toBeInstanceOf(TimeoutError);
+
+        await jest.advanceTimersByTimeAsync(1500);
+
+        await assertion;
+        expect(transport.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('cli --timeout exits with 130', async () => {
+        const client = createBooksClient({ transport: hangingTransport() });
+        const stderr = { text: '', write(chunk) { this.text += chunk; } };
+
+        const code = run(['titles', 'javascript', '--timeout', '50'], { client, stderr, stdout: stderr });
+        await jest.advanceTimersByTimeAsync(50);
+
+        await expect(code).resolves.toBe(EXIT_ABORTED);
+        expect(stderr.text).toBe('TimeoutError: Timed out after 50ms\n');
+    });
+});
+
+describe('AbortSignal', () => {
+    test('aborting rejects with an AbortError instead of a NetworkError', async () => {
+        const controller = new AbortController();
+        const client = createBooksClient({ transport: hangingTransport() });
+
+        const work = client.getWork('OL1W', { signal: controller.signal });
+        controller.abort();
+
+        await expect(work).rejects.toBeInstanceOf(AbortError);
+    });
+
+    test('an already aborted signal never reaches the transport', async () => {
+        const transport = hangingTransport();
+        const client = createBooksClient({ transport });
+
+        await expect(client.searchBooks({ q: 'java' }, { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(AbortError);
+        expect(transport.get).not.toHaveBeenCalled();
+    });
+
+    test('result mode reports the AbortError', async () => {
+        const client = createBooksClient({ transport: hangingTransport() });
+
+        await expect(client.enrichWorks([{ key: '/works/OL1W', authors: [] }], { signal: AbortSignal.abort(), result: true })).resolves.toEqual({
+            ok: false,
+            data: null,
+            error: expect.any(AbortError)
+        });
+    });
+
+    test('a shared request is only aborted once every caller gave up', async () => {
+        const transport = hangingTransport();
+        const client = createBooksClient({ transport });
+        const first = new AbortController();
+        const second = new AbortController();
+
+        const a = client.getBooksBySubject('java', { signal: first.signal });
+        const b = client.getBooksBySubject('java', { signal: second.signal });
+        await new Promise(process.nextTick);
+        const { signal } = transport.get.mock.calls[0][1];
+
+        first.abort();
+        await expect(a).rejects.toBeInstanceOf(AbortError);
+        expect(signal.aborted).toBe(false);
+
+        second.abort();
+        await expect(b).rejects.toBeInstanceOf(AbortError);
+        expect(signal.aborted).toBe(true);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('iterateWorksBySubject stops when aborted', async () => {
+        const controller = new AbortController();
+        const transport = {
+            get: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: { work_count: 10, works: [{ title: 'A' }, { title: 'B' }] } })
+        };
+        const client = createBooksClient({ transport });
+        const seen = [];
+
+        const walk = (async () => {
+            for await (const work of client.iterateWorksBySubject('x', { pageSize: 2, signal: controller.signal })) {
+                seen.push(work.title);
+                controller.abort();
+            }
+        })();
+
+        await expect(walk).rejects.toBeInstanceOf(AbortError);
+        expect(seen).toEqual(['A', 'B']);
+    });
+});
@@ -0,0 +1,50 @@
+export const MODES = ['union', 'intersection', 'difference'];
+
+// Works are matched on their Open Library key; the title only stands in when a work has no key
+export function workIdentity(work) {
+    return work.key ?? `title:${work.title}`;
+}
+
+// Throws a TypeError for anything that is not one of MODES
+export function assertMode(mode) {
+    if (!MODES.includes(mode)) {
+        throw new TypeError(`mode must be one of ${MODES.join(', ')}, got "${mode}"`);
+    }
+}
+
+/**
+ * Combines per-subject work lists.
+ * union: works in any subject; intersection: works in every subject;
+ * difference: works in the first subject and none of the others.
+ * Each result is { key, title, subjects } where subjects lists every queried subject the work appeared in.
+ */
+export function combineSubjects(worksBySubject, mode = 'union') {
+    assertMode(mode);
+
+    const merged = new Map();
+
+    for (const [subject, works] of worksBySubject) {
+        for (const work of works) {
+            const id = workIdentity(work);
+
+            if (!merged.has(id)) {
+                merged.set(id, { key: work.key ?? null, title: work.title, subjects: [] });
+            }
+
+            const entry = merged.get(id);
+
+            if (!entry.subjects.includes(subject)) {
+                entry.subjects.push(subject);
+            }
+        }
+    }
+
+    const subjects = worksBySubject.map(([subject]) => subject);
+    const keep = {
+        union: () => true,
+        intersection: (entry) => entry.subjects.length === subjects.length,
+        difference: (entry) => entry.subjects.length === 1 && entry.subjects[0] === subjects[0]
+    }[mode];
+
+    return [...merged.values()].filter(keep);
+}
@@ -0,0 +1,84 @@
+import { combineSubjects } from './aggregate.js';
+import { createBooksClient } from './books.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { startFakeServer } from './fakeServer.js';
+
+describe('combineSubjects', () => {
+    const bySubject = [
+        ['a', [{ key: '/works/1', title: 'One' }, { key: '/works/2', title: 'Two' }]],
+        ['b', [{ key: '/works/2', title: 'Two (2nd ed.)' }, { key: '/works/3', title: 'One' }]]
+    ];
+
+    test('de-duplicates on key, not title', () => {
+        expect(combineSubjects(bySubject, 'union')).toEqual([
+            { key: '/works/1', title: 'One', subjects: ['a'] },
+            { key: '/works/2', title: 'Two', subjects: ['a', 'b'] },
+            { key: '/works/3', title: 'One', subjects: ['b'] }
+        ]);
+    });
+
+    test('rejects unknown modes', () => {
+        expect(() => combineSubjects(bySubject, 'xor')).toThrow(TypeError);
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    test('never runs more than the limit at once and keeps order', async () => {
+        let running = 0;
+        let peak = 0;
+
+        const results = await mapWithConcurrency([30, 10, 20, 5, 1], 2, async (ms) => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise((resolve) => setTimeout(resolve, ms));
+            running--;
+            return ms * 2;
+        });
+
+        expect(results).toEqual([60, 20, 40, 10, 2]);
+        expect(peak).toBe(2);
+    });
+});
+
+describe('getTitlesBySubjects', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false });
+    });
+
+    afterAll(() => server.close());
+
+    test('union reports every subject a work came from', async () => {
+        const works = await client.getTitlesBySubjects(['javascript', 'web_development']);
+
+        expect(works).toHaveLength(6);
+        expect(works).toContainEqual({ key: '/works/OL16520144W', title: 'Eloquent JavaScript', subjects: ['javascript', 'web_development'] });
+        expect(works).toContainEqual({ key: '/works/OL5734930W', title: 'Head First Java', subjects: ['web_development'] });
+    });
+
+    test('intersection keeps works found in every subject', async () => {
+        const works = await client.getTitlesBySubjects(['javascript', 'Web Development'], { mode: 'intersection' });
+
+        expect(works.map(work => work.title)).toEqual(['Eloquent JavaScript', 'Learning Web Design']);
+    });
+
+    test('difference removes works found in later subjects', async () => {
+        const works = await client.getTitlesBySubjects(['web_development', 'javascript', 'java'], { mode: 'difference', concurrency: 1 });
+
+        expect(works).toEqual([]);
+        await expect(client.getTitlesBySubjects(['web_development', 'java'], { mode: 'difference' })).resolves.toEqual([
+            { key: '/works/OL8843416W', title: 'Learning Web Design', subjects: ['web_development'] },
+            { key: '/works/OL16520144W', title: 'Eloquent JavaScript', subjects: ['web_development'] }
+        ]);
+    });
+
+    test('an unknown mode is rejected before any request', async () => {
+        server.requests.length = 0;
+
+        await expect(client.getTitlesBySubjects(['javascript', 'java'], { mode: 'xor' })).rejects.toThrow('mode must be one of union, intersection, difference, got "xor"');
+        expect(server.requests).toEqual([]);
+    });
+});
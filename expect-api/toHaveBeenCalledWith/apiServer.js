@@ -0,0 +1,182 @@
+import { createHash } from 'node:crypto';
+import http from 'node:http';
+import { AbortError, HttpError, MalformedResponseError, NetworkError, NotFoundError, RateLimitError, TimeoutError } from './errors.js';
+
+export const DEFAULT_PORT = 8080;
+
+// Thrown by route handlers for bad query parameters and badly encoded path segments
+export class BadRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BadRequestError';
+    }
+}
+
+// Upstream failures map onto gateway statuses so callers can tell "not there" from "Open Library is down"
+export function statusFor(err) {
+    if (err instanceof BadRequestError) {
+        return 400;
+    }
+
+    if (err instanceof NotFoundError) {
+        return 404;
+    }
+
+    if (err instanceof TimeoutError) {
+        return 504;
+    }
+
+    if (err instanceof RateLimitError) {
+        return 503;
+    }
+
+    if (err instanceof NetworkError || err instanceof HttpError || err instanceof MalformedResponseError) {
+        return 502;
+    }
+
+    return 500;
+}
+
+// The payload comes from the client's cache, so the same cached entry always hashes to the same tag
+export function etagFor(body) {
+    return `"${createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function matchesEtag(header, etag) {
+    return Boolean(header) && header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*');
+}
+
+function toCount(params, name) {
+    const value = params.get(name);
+
+    if (value === null) {
+        return undefined;
+    }
+
+    const count = Number(value);
+
+    if (!Number.isInteger(count) || count < 0) {
+        throw new BadRequestError(`${name} must be a non-negative integer, got "${value}"`);
+    }
+
+    return count;
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        throw new BadRequestError(`"${segment}" is not a valid URL encoding`);
+    }
+}
+
+const routes = [
+    {
+        pattern: /^\/health$/,
+        cacheable: false,
+        async handle(match, url, { client }) {
+            return { status: 'ok', rateLimit: client.limiter ? client.limiter.metrics() : null };
+        }
+    },
+    {
+        pattern: /^\/subjects\/([^/]+)\/titles$/,
+        async handle(match, url, { client, signal, timeoutMs }) {
+            const subject = decodeSegment(match[1]);
+            const limit = toCount(url.searchParams, 'limit');
+            const offset = toCount(url.searchParams, 'offset');
+            const titles = await client.getTitlesBySubject(subject, { limit, offset, signal, timeoutMs });
+
+            return { subject, limit, offset, titles };
+        }
+    },
+    {
+        pattern: /^\/works\/([^/]+)$/,
+        async handle(match, url, { client, signal, timeoutMs }) {
+            return client.getWork(decodeSegment(match[1]), { signal, timeoutMs });
+        }
+    }
+];
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body);
+}
+
+function sendError(res, err) {
+    const status = statusFor(err);
+    const headers = err instanceof RateLimitError && err.retryAfterMs !== null
+        ? { 'Retry-After': String(Math.ceil(err.retryAfterMs / 1000)) }
+        : {};
+
+    sendJson(res, status, JSON.stringify({ error: err.name, message: err.message }), headers);
+}
+
+/**
+ * A request listener serving a books client over HTTP:
+ * GET /health, GET /subjects/:subject/titles?limit=&offset= and GET /works/:key.
+ * Successful responses carry an ETag and answer If-None-Match with 304.
+ * A request is aborted upstream when its client disconnects or after timeoutMs.
+ */
+export function createApiHandler({ client, timeoutMs } = {}) {
+    return async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const route = routes.find(candidate => candidate.pattern.test(url.pathname));
+
+        if (!route) {
+            return sendJson(res, 404, JSON.stringify({ error: 'NotFound', message: `No route for ${url.pathname}` }));
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return sendJson(res, 405, JSON.stringify({ error: 'MethodNotAllowed', message: `${req.method} is not supported` }), { Allow: 'GET, HEAD' });
+        }
+
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+
+        try {
+            const data = await route.handle(url.pathname.match(route.pattern), url, { client, signal: controller.signal, timeoutMs });
+            const body = JSON.stringify(data);
+
+            if (route.cacheable === false) {
+                return sendJson(res, 200, body, { 'Cache-Control': 'no-store' });
+            }
+
+            const etag = etagFor(body);
+
+            if (matchesEtag(req.headers['if-none-match'], etag)) {
+                res.writeHead(304, { ETag: etag });
+                return res.end();
+            }
+
+            sendJson(res, 200, req.method === 'HEAD' ? undefined : body, { ETag: etag });
+        } catch(err) {
+            // Nobody is listening any more
+            if (err instanceof AbortError && !(err instanceof TimeoutError) && controller.signal.aborted) {
+                return;
+            }
+
+            sendError(res, err);
+        }
+    };
+}
+
+export async function startApiServer({ client, port = DEFAULT_PORT, host = '127.0.0.1', timeoutMs } = {}) {
+    const server = http.createServer(createApiHandler({ client, timeoutMs }));
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    return {
+        baseUrl: `http://${host}:${server.address().port}`,
+        close: () => new Promise((resolve, reject) => {
+            server.close((err) => err ? reject(err) : resolve());
+            server.closeAllConnections();
+        })
+    };
+}
@@ -0,0 +1,114 @@
+import { startApiServer } from './apiServer.js';
+import { createBooksClient } from './books.js';
+import { createMemoryCache } from './cache.js';
+import { startFakeServer } from './fakeServer.js';
+
+describe('books API server', () => {
+    let upstream;
+    let api;
+
+    const get = (path, headers) => fetch(`${api.baseUrl}${path}`, { headers });
+
+    beforeAll(async () => {
+        upstream = await startFakeServer();
+        const client = createBooksClient({ baseUrl: upstream.baseUrl, retry: false, cache: createMemoryCache() });
+        api = await startApiServer({ client, port: 0 });
+    });
+
+    afterAll(async () => {
+        await api.close();
+        await upstream.close();
+    });
+
+    test('GET /subjects/:subject/titles returns the titles as JSON', async () => {
+        const response = await get('/subjects/java/titles?limit=1');
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('application/json');
+        await expect(response.json()).resolves.toEqual({ subject: 'java', limit: 1, titles: ['Head First Java'] });
+    });
+
+    test('GET /works/:key returns the work record', async () => {
+        const response = await get('/works/OL5734930W');
+
+        expect(response.status).toBe(200);
+        await expect(response.json()).resolves.toMatchObject({ key: '/works/OL5734930W', title: 'Head First Java' });
+    });
+
+    test('answers a matching If-None-Match with 304 from the cache', async () => {
+        const first = await get('/subjects/java/titles');
+        const etag = first.headers.get('etag');
+        const upstreamRequests = upstream.requests.length;
+
+        const second = await get('/subjects/java/titles', { 'If-None-Match': etag });
+
+        expect(etag).toMatch(/^".+"$/);
+        expect(second.status).toBe(304);
+        await expect(second.text()).resolves.toBe('');
+        expect(upstream.requests).toHaveLength(upstreamRequests);
+    });
+
+    test('a stale ETag gets the full response', async () => {
+        const response = await get('/subjects/java/titles', { 'If-None-Match': '"stale"' });
+
+        expect(response.status).toBe(200);
+    });
+
+    test.each([
+        ['/subjects/cobol/titles', 404, 'NotFoundError'],
+        ['/works/OL404W', 404, 'NotFoundError'],
+        ['/subjects/java/titles?limit=-1', 400, 'BadRequestError'],
+        ['/subjects/%E0/titles', 400, 'BadRequestError'],
+        ['/works/%ZZ', 400, 'BadRequestError'],
+        ['/nowhere', 404, 'NotFound']
+    ])('GET %s responds %i', async (path, status, error) => {
+        const response = await get(path);
+
+        expect(response.status).toBe(status);
+        await expect(response.json()).resolves.toMatchObject({ error });
+    });
+
+    test('maps upstream failures to gateway statuses', async () => {
+        upstream.queueResponse({ status: 500 });
+        upstream.queueResponse({ status: 429, headers: { 'Retry-After': '2' } });
+
+        const failed = await get('/subjects/web_development/titles');
+        const limited = await get('/subjects/web_development/titles');
+
+        expect(failed.status).toBe(502);
+        await expect(failed.json()).resolves.toMatchObject({ error: 'HttpError' });
+        expect(limited.status).toBe(503);
+        expect(limited.headers.get('retry-after')).toBe('2');
+    });
+
+    test('rejects other methods', async () => {
+        const response = await fetch(`${api.baseUrl}/works/OL5734930W`, { method: 'DELETE' });
+
+        expect(response.status).toBe(405);
+        expect(response.headers.get('allow')).toBe('GET, HEAD');
+    });
+
+    test('GET /health reports the rate limiter', async () => {
+        const response = await get('/health');
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('cache-control')).toBe('no-store');
+        await expect(response.json()).resolves.toEqual({ status: 'ok', rateLimit: expect.objectContaining({ granted: expect.any(Number) }) });
+    });
+});
+
+describe('books API server timeouts', () => {
+    test('a slow upstream answers 504', async () => {
+        const transport = { get: jest.fn((url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))) };
+        const api = await startApiServer({ client: createBooksClient({ transport, retry: false, rateLimit: false }), port: 0, timeoutMs: 20 });
+
+        try {
+            const response = await fetch(`${api.baseUrl}/works/OL1W`);
+
+            expect(response.status).toBe(504);
+            await expect(response.json()).resolves.toMatchObject({ error: 'TimeoutError' });
+        } finally {
+            await api.close();
+        }
+    });
+});
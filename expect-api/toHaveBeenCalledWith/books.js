@@ -1,20 +1,332 @@
 import axios from 'axios';
-import { pluckTitles } from './helper.js';
+import { raceAbort, runWithSignal, throwIfAborted } from './abort.js';
+import { assertMode, combineSubjects } from './aggregate.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { createRateLimiter, DEFAULT_RATE_LIMIT } from './rateLimit.js';
+import { attachDetails, normalizeSearchDoc, pluckTitles } from './helper.js';
+import { MalformedResponseError, NotFoundError, httpErrorFor, toBooksError, toResult } from './errors.js';
+import { DEFAULT_RETRY_POLICY, withRetry } from './retry.js';
+import { validateSearch, validateSubject } from './validate.js';
 
-async function getBooksBySubject(subject) {
-    let data = [];
+export const DEFAULT_BASE_URL = 'https://openlibrary.org';
+export const DEFAULT_PAGE_SIZE = 50;
+export const DEFAULT_CONCURRENCY = 4;
 
-    try {
-        const response = await axios.get(`https://openlibrary.org/subjects/${subject}.json`);
-        data = response.data;
-    } catch(err) {
-        console.log(`Error getting books: ${err.message}`, err.stack);
+// Accepts "/works/OL1W", "works/OL1W" or "OL1W" and returns "OL1W"
+export function bareKey(key) {
+    return String(key).split('/').filter(Boolean).pop();
+}
+
+// Open Library subject slugs are lower case with underscores, e.g. "Web Development" -> "web_development"
+export function normalizeSubject(subject) {
+    return String(subject).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// A transport is anything with an axios-style get(url, config) that resolves to { status, headers, data }.
+// Pass retry: false to give up on the first failure, and a cache from cache.js to reuse subject payloads.
+// Payloads are checked against validate.js: 'strict' rejects bad works, 'lenient' drops them and reports onWarning.
+// Cache read and write failures are reported through onWarning too; a failed read counts as a miss.
+// Every public function takes { signal, timeoutMs } and rejects with an AbortError (TimeoutError) when either fires.
+// rateLimit is a limiter from rateLimit.js (share one between clients to share the budget), its options, or false.
+export function createBooksClient({
+    baseUrl = DEFAULT_BASE_URL,
+    transport = axios,
+    retry = DEFAULT_RETRY_POLICY,
+    cache = null,
+    validation = 'lenient',
+    onWarning = () => {},
+    rateLimit = DEFAULT_RATE_LIMIT
+} = {}) {
+    const retryPolicy = retry === false ? { maxAttempts: 1 } : retry;
+    const limiter = !rateLimit || typeof rateLimit.acquire === 'function' ? rateLimit || null : createRateLimiter(rateLimit);
+    const inFlight = new Map();
+
+    async function send(url, signal) {
+        let response;
+
+        throwIfAborted(signal);
+
+        if (limiter) {
+            await limiter.acquire(signal);
+        }
+
+        try {
+            // The config argument is only passed when there is something in it
+            response = await (signal ? transport.get(url, { signal }) : transport.get(url));
+        } catch(err) {
+            throwIfAborted(signal);
+            throw toBooksError(err, url);
+        }
+
+        if (response.status >= 400) {
+            throw httpErrorFor(response.status, { url, headers: response.headers });
+        }
+
+        return response.data;
+    }
+
+    function request(url, signal) {
+        return withRetry(() => send(url, signal), retryPolicy, { method: 'GET', signal });
+    }
+
+    /*
+        Concurrent callers for the same key share one request, and successful payloads land in the cache.
+        The shared request has its own AbortController: one caller aborting only stops waiting,
+        and the request itself is aborted once every caller waiting on it has given up.
+    */
+    async function cached(key, load, signal) {
+        if (cache) {
+            let hit;
+
+            // A cache that cannot be read is treated as a miss
+            try {
+                hit = await cache.get(key);
+            } catch(err) {
+                onWarning({ path: '', message: `Could not read ${key} from the cache: ${err.message}`, key });
+            }
+
+            if (hit !== undefined) {
+                return hit;
+            }
+        }
+
+        throwIfAborted(signal);
+
+        let entry = inFlight.get(key);
+
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, waiters: 0 };
+            // Without a signal from the first caller nothing can ever abort the request
+            entry.promise = load(signal ? controller.signal : undefined)
+                .then(async (value) => {
+                    if (cache) {
+                        // The response already arrived, so a cache that cannot be written only costs a warning
+                        try {
+                            await cache.set(key, value);
+                        } catch(err) {
+                            onWarning({ path: '', message: `Could not cache ${key}: ${err.message}`, key });
+                        }
+                    }
+                    return value;
+                })
+                .finally(() => {
+                    if (inFlight.get(key) === entry) {
+                        inFlight.delete(key);
+                    }
+                });
+
+            inFlight.set(key, entry);
+        }
+
+        if (!signal) {
+            entry.waiters = Infinity;
+            return entry.promise;
+        }
+
+        const shared = entry;
+        const onAbort = () => {
+            if (--shared.waiters === 0) {
+                inFlight.delete(key);
+                shared.controller.abort(signal.reason);
+            }
+        };
+
+        shared.waiters++;
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        return raceAbort(shared.promise, signal).finally(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    // Public entry points: applies { signal, timeoutMs } and the { result } mode around fn(signal)
+    function call({ result = false, signal, timeoutMs } = {}, fn) {
+        const promise = runWithSignal({ signal, timeoutMs }, fn);
+        return result ? toResult(promise) : promise;
+    }
+
+    function fetchBooksBySubject(subject, { limit, offset } = {}, signal) {
+        const slug = normalizeSubject(subject);
+        const url = withQuery(`${baseUrl}/subjects/${slug}.json`, { limit, offset });
+        const key = withQuery(`subjects/${slug}`, { limit, offset });
+
+        return cached(key, (shared) => loadSubject(slug, url, shared, offset), signal);
     }
 
-    return data;
+    async function loadSubject(subject, url, signal, offset = 0) {
+        const { data, warnings } = validateSubject(await request(url, signal), { mode: validation, url });
+        warnings.forEach(warning => onWarning({ ...warning, url }));
+
+        // Open Library answers unknown subjects with an empty 200 rather than a 404.
+        // Past the first page an empty answer only means the subject has run out of works.
+        if (!offset && !data.work_count && !data.works.length) {
+            throw new NotFoundError(`Unknown subject: ${subject}`, { status: 404, url });
+        }
+
+        return data;
+    }
+
+    async function getBooksBySubject(subject, { result, signal, timeoutMs, ...options } = {}) {
+        return call({ result, signal, timeoutMs }, (linked) => fetchBooksBySubject(subject, options, linked));
+    }
+
+    async function getTitlesBySubject(subject, { result, signal, timeoutMs, ...options } = {}) {
+        return call({ result, signal, timeoutMs }, async (linked) => pluckTitles(await fetchBooksBySubject(subject, options, linked)));
+    }
+
+    // Walks every page of a subject, stopping once work_count is reached or maxItems works were yielded.
+    // timeoutMs covers the whole walk, not each page.
+    async function* iterateWorksBySubject(subject, {
+        pageSize = DEFAULT_PAGE_SIZE,
+        offset = 0,
+        maxItems = Infinity,
+        signal,
+        timeoutMs
+    } = {}) {
+        let yielded = 0;
+        const deadline = timeoutMs === undefined ? undefined : Date.now() + timeoutMs;
+
+        while (yielded < maxItems) {
+            const limit = Math.min(pageSize, maxItems - yielded);
+            const remainingMs = deadline === undefined ? undefined : Math.max(0, deadline - Date.now());
+            const data = await call({ signal, timeoutMs: remainingMs }, (linked) => fetchBooksBySubject(subject, { limit, offset }, linked));
+
+            for (const work of data.works.slice(0, limit)) {
+                yield work;
+                yielded++;
+            }
+
+            offset += data.works.length;
+
+            if (!data.works.length || offset >= data.work_count) {
+                return;
+            }
+        }
+    }
+
+    // Fetches the subjects at most `concurrency` at a time and combines them with aggregate.js
+    async function getTitlesBySubjects(subjects, {
+        mode = 'union',
+        concurrency = DEFAULT_CONCURRENCY,
+        result,
+        signal,
+        timeoutMs,
+        ...options
+    } = {}) {
+        return call({ result, signal, timeoutMs }, async (linked) => {
+            // A typo in mode should not cost a round of requests first
+            assertMode(mode);
+
+            const slugs = [...new Set(subjects.map(normalizeSubject))];
+            const payloads = await mapWithConcurrency(slugs, concurrency, (subject) => fetchBooksBySubject(subject, options, linked));
+
+            return combineSubjects(slugs.map((subject, index) => [subject, payloads[index].works]), mode);
+        });
+    }
+
+    async function fetchSearch({ q, title, author, isbn, sort, limit, page } = {}, signal) {
+        if (![q, title, author, isbn].some(Boolean)) {
+            throw new TypeError('searchBooks needs at least one of q, title, author or isbn');
+        }
+
+        const params = { q, title, author, isbn, sort, limit, page };
+        const url = withQuery(`${baseUrl}/search.json`, params);
+
+        return cached(withQuery('search', params), async (shared) => {
+            const { data, warnings } = validateSearch(await request(url, shared), { mode: validation, url });
+            warnings.forEach(warning => onWarning({ ...warning, url }));
+
+            return { total: data.numFound, page: page ?? 1, works: data.docs.map(normalizeSearchDoc) };
+        }, signal);
+    }
+
+    function fetchRecord(kind, key, signal) {
+        const id = bareKey(key);
+        const url = `${baseUrl}/${kind}/${id}.json`;
+
+        return cached(`${kind}/${id}`, async (shared) => {
+            const data = await request(url, shared);
+
+            if (!data || typeof data !== 'object' || typeof data.key !== 'string') {
+                throw new MalformedResponseError(`Expected a record with a key from ${url}`, { url });
+            }
+
+            return data;
+        }, signal);
+    }
+
+    async function getWork(key, options) {
+        return call(options, (linked) => fetchRecord('works', key, linked));
+    }
+
+    async function getAuthor(key, options) {
+        return call(options, (linked) => fetchRecord('authors', key, linked));
+    }
+
+    // Unknown keys become null details instead of failing the whole batch
+    function fetchRecordOrNull(kind, key, signal) {
+        return fetchRecord(kind, key, signal).catch((err) => {
+            if (err instanceof NotFoundError) {
+                return null;
+            }
+            throw err;
+        });
+    }
+
+    // Attaches work and author records to helper.js Work records, fetching each distinct key once
+    async function enrichWorks(works, { concurrency = DEFAULT_CONCURRENCY, ...options } = {}) {
+        return call(options, (linked) => fetchEnrichedWorks(works, concurrency, linked));
+    }
+
+    async function fetchEnrichedWorks(works, concurrency, signal) {
+        const distinct = (keys) => [...new Set(keys.filter(Boolean))];
+        const workKeys = distinct(works.map(work => work.key));
+        const authorKeys = distinct(works.flatMap(work => work.authors.map(author => author.key)));
+        const lookups = [
+            ...workKeys.map(key => ['works', key]),
+            ...authorKeys.map(key => ['authors', key])
+        ];
+
+        const records = await mapWithConcurrency(lookups, concurrency, ([kind, key]) => fetchRecordOrNull(kind, key, signal));
+        const workDetails = new Map(workKeys.map((key, index) => [key, records[index]]));
+        const authorDetails = new Map(authorKeys.map((key, index) => [key, records[workKeys.length + index]]));
+
+        return works.map(work => attachDetails(work, workDetails.get(work.key) ?? null, authorDetails));
+    }
+
+    // Free-text search; resolves with { total, page, works } where works use helper.js' Work shape
+    async function searchBooks(query, options) {
+        return call(options, (linked) => fetchSearch(query, linked));
+    }
+
+    return {
+        limiter,
+        getBooksBySubject,
+        getTitlesBySubject,
+        getTitlesBySubjects,
+        iterateWorksBySubject,
+        searchBooks,
+        getWork,
+        getAuthor,
+        enrichWorks
+    };
 }
 
-export async function getTitlesBySubject(subject) {
-    const data = await getBooksBySubject(subject);
-    return pluckTitles(data);
-}
\ No newline at end of file
+function withQuery(url, params) {
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .join('&');
+
+    return query ? `${url}?${query}` : url;
+}
+
+const defaultClient = createBooksClient();
+
+export const getBooksBySubject = (subject, options) => defaultClient.getBooksBySubject(subject, options);
+export const getTitlesBySubject = (subject, options) => defaultClient.getTitlesBySubject(subject, options);
+export const getTitlesBySubjects = (subjects, options) => defaultClient.getTitlesBySubjects(subjects, options);
+export const searchBooks = (query, options) => defaultClient.searchBooks(query, options);
+export const iterateWorksBySubject = (subject, options) => defaultClient.iterateWorksBySubject(subject, options);
+export const getWork = (key, options) => defaultClient.getWork(key, options);
+export const getAuthor = (key, options) => defaultClient.getAuthor(key, options);
+export const enrichWorks = (works, options) => defaultClient.enrichWorks(works, options);
@@ -0,0 +1,126 @@
+import axios from 'axios';
+import { createBooksClient, getTitlesBySubject } from './books.js';
+import { startFakeServer } from './fakeServer.js';
+import { HttpError, MalformedResponseError, NetworkError, NotFoundError, parseRetryAfter } from './errors.js';
+
+/*
+    The books client never talks to openlibrary.org directly in these tests.
+    Either the transport is a jest.fn() stand-in, or the default axios transport
+    is pointed at the in-process fake server through baseUrl.
+*/
+
+describe('createBooksClient with an injected transport', () => {
+    test('requests the subject from the configured base url', async () => {
+        const transport = { get: jest.fn().mockResolvedValue({ data: { works: [{ title: 'Dune' }] } }) };
+        const client = createBooksClient({ baseUrl: 'http://books.test', transport });
+
+        const titles = await client.getTitlesBySubject('scifi');
+
+        expect(transport.get).toHaveBeenCalledWith('http://books.test/subjects/scifi.json');
+        expect(titles).toEqual(['Dune']);
+    });
+});
+
+describe('default client', () => {
+    test('uses axios against openlibrary.org', async () => {
+        const spy = jest.spyOn(axios, 'get').mockResolvedValue({ data: { works: [{ title: 'Eloquent JavaScript' }] } });
+
+        const titles = await getTitlesBySubject('javascript');
+
+        expect(spy).toHaveBeenCalledWith('https://openlibrary.org/subjects/javascript.json');
+        expect(titles).toEqual(['Eloquent JavaScript']);
+        spy.mockRestore();
+    });
+});
+
+describe('fake Open Library server', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+    });
+
+    afterAll(() => server.close());
+
+    test('serves subject fixtures', async () => {
+        const client = createBooksClient({ baseUrl: server.baseUrl });
+        const titles = await client.getTitlesBySubject('java');
+
+        expect(titles).toEqual(['Head First Java', 'Effective Java']);
+        expect(server.requests).toContainEqual({ method: 'GET', url: '/subjects/java.json' });
+    });
+
+    test('answers unknown subjects with a 404', async () => {
+        await expect(axios.get(`${server.baseUrl}/subjects/nope.json`)).rejects.toMatchObject({
+            response: { status: 404 }
+        });
+    });
+});
+
+describe('getBooksBySubject errors', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false });
+    });
+
+    afterAll(() => server.close());
+
+    test('rejects unknown subjects with a NotFoundError', async () => {
+        await expect(client.getBooksBySubject('nope')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('treats an empty subject payload as not found', async () => {
+        server.queueResponse({ body: { key: '/subjects/nope', work_count: 0, works: [] } });
+        await expect(client.getBooksBySubject('nope')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('rejects a 429 with a RateLimitError carrying Retry-After', async () => {
+        server.queueResponse({ status: 429, headers: { 'Retry-After': '3' } });
+
+        await expect(client.getTitlesBySubject('java')).rejects.toMatchObject({
+            name: 'RateLimitError',
+            status: 429,
+            retryAfterMs: 3000
+        });
+    });
+
+    test('rejects payloads without works with a MalformedResponseError', async () => {
+        server.queueResponse({ body: { works: 'nope' } });
+        await expect(client.getBooksBySubject('java')).rejects.toBeInstanceOf(MalformedResponseError);
+    });
+
+    test('rejects transport failures with a NetworkError', async () => {
+        const transport = { get: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) };
+        const offline = createBooksClient({ transport, retry: false });
+
+        await expect(offline.getBooksBySubject('java')).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    test('result mode resolves with { ok, data, error } instead of rejecting', async () => {
+        server.queueResponse({ status: 503 });
+
+        await expect(client.getTitlesBySubject('java', { result: true })).resolves.toEqual({
+            ok: false,
+            data: null,
+            error: expect.any(HttpError)
+        });
+        await expect(client.getTitlesBySubject('java', { result: true })).resolves.toEqual({
+            ok: true,
+            data: ['Head First Java', 'Effective Java'],
+            error: null
+        });
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('accepts seconds and HTTP dates', () => {
+        const now = Date.parse('2023-01-01T00:00:00Z');
+
+        expect(parseRetryAfter('2', now)).toBe(2000);
+        expect(parseRetryAfter('Sun, 01 Jan 2023 00:00:05 GMT', now)).toBe(5000);
+        expect(parseRetryAfter(undefined, now)).toBeNull();
+    });
+});
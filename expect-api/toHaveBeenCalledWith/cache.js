@@ -0,0 +1,183 @@
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// In-memory LRU: a Map keeps insertion order, so re-inserting on read moves an entry to the back
+export function createMemoryCache({ maxEntries = 100, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+
+            if (!entry) {
+                return undefined;
+            }
+
+            entries.delete(key);
+
+            if (entry.expiresAt <= now()) {
+                return undefined;
+            }
+
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set(key, value, entryTtlMs = ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: now() + entryTtlMs });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// JSON file on disk holding { [key]: { value, expiresAt } }, loaded on first use and rewritten on every set.
+// A file that does not parse (say a write cut short by a crash) counts as an empty store.
+export function createFileCache({ file, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+    let entries;
+    let loading;
+    let writing = Promise.resolve();
+
+    async function read() {
+        try {
+            return JSON.parse(await readFile(file, 'utf8'));
+        } catch(err) {
+            if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) {
+                throw err;
+            }
+            return {};
+        }
+    }
+
+    // Concurrent first calls share one read, so none of them replaces entries another has already set
+    function load() {
+        if (!loading) {
+            loading = read().then((stored) => {
+                entries = stored;
+            }, (err) => {
+                loading = null;
+                throw err;
+            });
+        }
+
+        return loading.then(() => entries);
+    }
+
+    // Writes run one after another; a failed write is reported to its own caller and does not block the next one.
+    // Each write goes to a temporary file that is renamed over the cache, so readers never see half a file.
+    function persist() {
+        const snapshot = JSON.stringify(entries, null, 2);
+        const temporary = `${file}.${process.pid}.tmp`;
+
+        writing = writing.catch(() => {}).then(async () => {
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(temporary, snapshot);
+            await rename(temporary, file).catch(async (err) => {
+                await rm(temporary, { force: true });
+                throw err;
+            });
+        });
+
+        return writing;
+    }
+
+    // { value, expiresAt }, or undefined when the key is missing or expired
+    async function getEntry(key) {
+        const entry = (await load())[key];
+
+        if (!entry || entry.expiresAt <= now()) {
+            return undefined;
+        }
+
+        return entry;
+    }
+
+    return {
+        getEntry,
+
+        async get(key) {
+            return (await getEntry(key))?.value;
+        },
+
+        async set(key, value, entryTtlMs = ttlMs) {
+            (await load())[key] = { value, expiresAt: now() + entryTtlMs };
+            await persist();
+        },
+
+        async delete(key) {
+            delete (await load())[key];
+            await persist();
+        },
+
+        async clear() {
+            await load();
+            entries = {};
+            await persist();
+        }
+    };
+}
+
+// Memory LRU in front of an optional file store; hits on disk are promoted into memory for whatever TTL they had left
+export function createCache({ maxEntries, ttlMs = DEFAULT_TTL_MS, file, now = Date.now } = {}) {
+    const memory = createMemoryCache({ maxEntries, ttlMs, now });
+    const disk = file ? createFileCache({ file, ttlMs, now }) : null;
+
+    return {
+        async get(key) {
+            const value = memory.get(key);
+
+            if (value !== undefined || !disk) {
+                return value;
+            }
+
+            const stored = await disk.getEntry(key);
+
+            if (stored) {
+                memory.set(key, stored.value, stored.expiresAt - now());
+            }
+
+            return stored?.value;
+        },
+
+        async set(key, value, entryTtlMs = ttlMs) {
+            memory.set(key, value, entryTtlMs);
+
+            if (disk) {
+                await disk.set(key, value, entryTtlMs);
+            }
+        },
+
+        async delete(key) {
+            memory.delete(key);
+
+            if (disk) {
+                await disk.delete(key);
+            }
+        },
+
+        async clear() {
+            memory.clear();
+
+            if (disk) {
+                await disk.clear();
+            }
+        }
+    };
+}
@@ -0,0 +1,177 @@
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createBooksClient } from './books.js';
+import { createCache, createFileCache, createMemoryCache } from './cache.js';
+
+const subject = (...titles) => ({ status: 200, headers: {}, data: { work_count: titles.length, works: titles.map((title) => ({ title })) } });
+
+describe('createMemoryCache', () => {
+    test('expires entries after their TTL', () => {
+        let now = 0;
+        const cache = createMemoryCache({ ttlMs: 100, now: () => now });
+
+        cache.set('short', 1, 10);
+        cache.set('long', 2);
+        now = 50;
+
+        expect(cache.get('short')).toBeUndefined();
+        expect(cache.get('long')).toBe(2);
+    });
+
+    test('evicts the least recently used entry', () => {
+        const cache = createMemoryCache({ maxEntries: 2 });
+
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        expect(cache.get('a')).toBe(1);
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('c')).toBe(3);
+    });
+});
+
+describe('createFileCache', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'books-cache-'));
+    });
+
+    afterEach(() => rm(dir, { recursive: true, force: true }));
+
+    test('persists entries across instances', async () => {
+        const file = path.join(dir, 'nested', 'cache.json');
+
+        await createFileCache({ file }).set('subjects/java', { works: [] });
+
+        expect(JSON.parse(await readFile(file, 'utf8'))).toHaveProperty(['subjects/java', 'value'], { works: [] });
+        await expect(createFileCache({ file }).get('subjects/java')).resolves.toEqual({ works: [] });
+    });
+
+    test('createCache falls back to disk when memory misses', async () => {
+        const file = path.join(dir, 'cache.json');
+
+        await createCache({ file }).set('subjects/java', 'stored');
+
+        await expect(createCache({ file }).get('subjects/java')).resolves.toBe('stored');
+    });
+
+    test('concurrent first calls share one load', async () => {
+        const file = path.join(dir, 'cache.json');
+        const cache = createFileCache({ file });
+
+        await Promise.all([cache.set('subjects/java', 'java'), cache.set('subjects/scifi', 'scifi')]);
+
+        await expect(createFileCache({ file }).get('subjects/java')).resolves.toBe('java');
+        await expect(createFileCache({ file }).get('subjects/scifi')).resolves.toBe('scifi');
+    });
+
+    test('a disk hit keeps only the TTL it had left', async () => {
+        const file = path.join(dir, 'cache.json');
+        let time = 0;
+        const now = () => time;
+
+        await createFileCache({ file, now }).set('subjects/java', 'stored', 1000);
+        time = 900;
+
+        const cache = createCache({ file, ttlMs: 60_000, now });
+        await expect(cache.get('subjects/java')).resolves.toBe('stored');
+
+        time = 1000;
+        await expect(cache.get('subjects/java')).resolves.toBeUndefined();
+    });
+
+    test('recovers once the disk can be written again', async () => {
+        const file = path.join(dir, 'cache.json');
+        const cache = createFileCache({ file });
+
+        // Load the (missing) file first, then put a directory where it should be so writeFile fails with EISDIR
+        await cache.get('subjects/java');
+        await mkdir(file);
+        await expect(cache.set('subjects/java', 'first')).rejects.toThrow(/EISDIR/);
+
+        await rm(file, { recursive: true });
+        await cache.set('subjects/java', 'second');
+
+        expect(JSON.parse(await readFile(file, 'utf8'))).toHaveProperty(['subjects/java', 'value'], 'second');
+    });
+
+    test('a truncated file counts as an empty store and is replaced whole', async () => {
+        const file = path.join(dir, 'truncated.json');
+        await writeFile(file, '{"subjects/java": {"value": "Head Fi');
+        const cache = createFileCache({ file });
+
+        await expect(cache.get('subjects/java')).resolves.toBeUndefined();
+        await cache.set('subjects/java', 'Head First Java');
+
+        expect(JSON.parse(await readFile(file, 'utf8'))).toHaveProperty(['subjects/java', 'value'], 'Head First Java');
+        expect((await readdir(dir)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+});
+
+describe('createBooksClient with a cache', () => {
+    test('serves repeat lookups for a normalized subject from the cache', async () => {
+        const transport = { get: jest.fn().mockResolvedValue(subject('Dune')) };
+        const client = createBooksClient({ transport, cache: createCache() });
+
+        await client.getTitlesBySubject('Science Fiction');
+        const titles = await client.getTitlesBySubject('  science fiction ');
+
+        expect(titles).toEqual(['Dune']);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        expect(transport.get).toHaveBeenCalledWith('https://openlibrary.org/subjects/science_fiction.json');
+    });
+
+    test('ten parallel calls produce one request', async () => {
+        const transport = { get: jest.fn().mockResolvedValue(subject('Dune')) };
+        const client = createBooksClient({ transport, cache: createCache() });
+
+        const results = await Promise.all(Array.from({ length: 10 }, () => client.getTitlesBySubject('scifi')));
+
+        expect(results).toEqual(Array(10).fill(['Dune']));
+        expect(transport.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not cache failures', async () => {
+        const transport = {
+            get: jest.fn()
+                .mockRejectedValueOnce(new Error('offline'))
+                .mockResolvedValue(subject('Dune'))
+        };
+        const client = createBooksClient({ transport, retry: false, cache: createCache() });
+
+        await expect(client.getTitlesBySubject('scifi')).rejects.toThrow('offline');
+        await expect(client.getTitlesBySubject('scifi')).resolves.toEqual(['Dune']);
+    });
+
+    test('a cache that cannot be read is treated as a miss', async () => {
+        const transport = { get: jest.fn().mockResolvedValue(subject('Dune')) };
+        const onWarning = jest.fn();
+        const cache = { get: () => Promise.reject(new SyntaxError('Unexpected end of JSON input')), set: async () => {} };
+        const client = createBooksClient({ transport, cache, onWarning });
+
+        await expect(client.getTitlesBySubject('scifi', { result: true })).resolves.toEqual({ ok: true, data: ['Dune'], error: null });
+        expect(onWarning).toHaveBeenCalledWith({
+            path: '',
+            message: 'Could not read subjects/scifi from the cache: Unexpected end of JSON input',
+            key: 'subjects/scifi'
+        });
+    });
+
+    test('a cache that cannot be written still returns the response', async () => {
+        const transport = { get: jest.fn().mockResolvedValue(subject('Dune')) };
+        const onWarning = jest.fn();
+        const cache = { get: () => undefined, set: () => Promise.reject(new Error('EISDIR: illegal operation on a directory')) };
+        const client = createBooksClient({ transport, cache, onWarning });
+
+        await expect(client.getTitlesBySubject('scifi')).resolves.toEqual(['Dune']);
+        expect(onWarning).toHaveBeenCalledWith({
+            path: '',
+            message: 'Could not cache subjects/scifi: EISDIR: illegal operation on a directory',
+            key: 'subjects/scifi'
+        });
+    });
+});
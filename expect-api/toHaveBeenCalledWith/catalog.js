@@ -0,0 +1,278 @@
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { appendFile, mkdir, mkdtemp, open, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import { pipeline } from 'node:stream';
+import { createGunzip } from 'node:zlib';
+import { normalizeSubject } from './books.js';
+
+/*
+    On-disk layout of a catalog directory:
+        meta.json                     { importedAt, source, works, subjects }
+        subjects/<slug>.jsonl         one work per line, in the shape of a /subjects/{slug}.json entry
+        subjects/<slug>.idx           byte offset of each line in <slug>.jsonl, as 8 byte little endian doubles
+*/
+
+const FLUSH_EVERY = 5000;
+
+// File systems cap names at 255 bytes; longer slugs are shortened and made unique with a hash, like recordingFile
+const MAX_NAME_LENGTH = 200;
+
+export function subjectFile(dir, slug) {
+    const encoded = encodeURIComponent(slug);
+    const name = encoded.length <= MAX_NAME_LENGTH
+        ? encoded
+        : `${slug.replace(/[^a-z0-9]+/gi, '_').slice(0, 80)}-${createHash('sha1').update(slug).digest('hex').slice(0, 10)}`;
+
+    return path.join(dir, 'subjects', `${name}.jsonl`);
+}
+
+export function subjectIndexFile(dir, slug) {
+    return subjectFile(dir, slug).replace(/\.jsonl$/, '.idx');
+}
+
+const OFFSET_BYTES = 8;
+
+function encodeOffsets(offsets) {
+    const buffer = Buffer.alloc(offsets.length * OFFSET_BYTES);
+    offsets.forEach((offset, i) => buffer.writeDoubleLE(offset, i * OFFSET_BYTES));
+    return buffer;
+}
+
+// Dump lines are either the official TSV (type, key, revision, last_modified, JSON) or plain JSON Lines
+export function parseDumpLine(line) {
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+        return null;
+    }
+
+    const json = trimmed.startsWith('{') ? trimmed : trimmed.split('\t')[4];
+    return json ? JSON.parse(json) : null;
+}
+
+function publishYear(date) {
+    const match = /\b(\d{4})\b/.exec(date ?? '');
+    return match ? Number(match[1]) : undefined;
+}
+
+// Maps a /type/work record from the dump onto a subject-API work entry
+export function toSubjectWork(record) {
+    return {
+        key: record.key,
+        title: record.title,
+        // The works dump only links author keys; names live in the separate authors dump
+        authors: (record.authors ?? [])
+            .map(author => author?.author?.key ?? author?.key)
+            .filter(Boolean)
+            .map(key => ({ key, name: '' })),
+        first_publish_year: publishYear(record.first_publish_date),
+        cover_id: record.covers?.find(cover => cover > 0),
+        subject: record.subjects ?? []
+    };
+}
+
+// pipeline rather than pipe, so a missing or unreadable file fails the gunzip stream (and the import) too
+function openLines(file) {
+    const input = file.endsWith('.gz') ? pipeline(createReadStream(file), createGunzip(), () => {}) : createReadStream(file);
+    return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Streams a works dump (optionally gzipped) into a catalog directory, replacing whatever was there.
+ * Lines that are not /type/work records or have no title or subjects are skipped.
+ * The new catalog is built next to the old one and only swapped in once the whole dump was read,
+ * so a missing or corrupt dump leaves the existing catalog untouched.
+ * Resolves with { works, subjects, skipped }.
+ */
+export async function importWorksDump({ input, dir, onProgress = () => {} }) {
+    await mkdir(dir, { recursive: true });
+    const staging = await mkdtemp(path.join(dir, '.import-'));
+
+    try {
+        const result = await importInto(staging, { input, onProgress });
+        await swapIn(staging, dir);
+        return result;
+    } finally {
+        await rm(staging, { recursive: true, force: true });
+    }
+}
+
+// The old subjects directory is moved aside before the new one is renamed in, then deleted
+async function swapIn(staging, dir) {
+    const retired = path.join(staging, 'retired');
+
+    await rename(path.join(dir, 'subjects'), retired).catch((err) => {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    });
+    await rename(path.join(staging, 'subjects'), path.join(dir, 'subjects'));
+    await rename(path.join(staging, 'meta.json'), path.join(dir, 'meta.json'));
+}
+
+async function importInto(dir, { input, onProgress }) {
+    await mkdir(path.join(dir, 'subjects'));
+
+    const pending = new Map();
+    const sizes = new Map();
+    const subjects = new Set();
+    let buffered = 0;
+    let works = 0;
+    let skipped = 0;
+
+    async function flush() {
+        for (const [slug, { lines, offsets }] of pending) {
+            await appendFile(subjectFile(dir, slug), lines.join(''));
+            await appendFile(subjectIndexFile(dir, slug), encodeOffsets(offsets));
+        }
+
+        pending.clear();
+        buffered = 0;
+    }
+
+    for await (const line of openLines(input)) {
+        let record;
+
+        try {
+            record = parseDumpLine(line);
+        } catch {
+            skipped++;
+            continue;
+        }
+
+        if (!record) {
+            continue;
+        }
+
+        if ((record.type?.key && record.type.key !== '/type/work') || typeof record.title !== 'string' || !record.subjects?.length) {
+            skipped++;
+            continue;
+        }
+
+        const entry = JSON.stringify(toSubjectWork(record)) + '\n';
+        const entryBytes = Buffer.byteLength(entry);
+
+        for (const slug of new Set(record.subjects.map(normalizeSubject))) {
+            subjects.add(slug);
+            if (!pending.has(slug)) {
+                pending.set(slug, { lines: [], offsets: [] });
+            }
+
+            const size = sizes.get(slug) ?? 0;
+            pending.get(slug).lines.push(entry);
+            pending.get(slug).offsets.push(size);
+            sizes.set(slug, size + entryBytes);
+            buffered++;
+        }
+
+        works++;
+
+        if (buffered >= FLUSH_EVERY) {
+            await flush();
+            onProgress({ works, subjects: subjects.size });
+        }
+    }
+
+    await flush();
+
+    const meta = { importedAt: new Date().toISOString(), source: path.basename(input), works, subjects: subjects.size };
+    await writeFile(path.join(dir, 'meta.json'), JSON.stringify(meta, null, 2) + '\n');
+
+    return { works, subjects: subjects.size, skipped };
+}
+
+/*
+    Answers the same requests as openlibrary.org from an imported catalog, through the transport
+    interface createBooksClient already uses:
+
+        createBooksClient({ transport: new LocalCatalogSource({ dir }), rateLimit: false })
+
+    Only /subjects/{slug}.json is indexed; every other path is a 404.
+*/
+export class LocalCatalogSource {
+    #dir;
+
+    constructor({ dir }) {
+        this.#dir = dir;
+    }
+
+    get dir() {
+        return this.#dir;
+    }
+
+    async get(url) {
+        const { pathname, searchParams } = new URL(url, 'http://localhost');
+        const match = /^\/subjects\/([^/]+)\.json$/.exec(pathname);
+
+        if (!match) {
+            return { status: 404, headers: {}, data: { error: 'notfound' } };
+        }
+
+        const slug = normalizeSubject(decodeURIComponent(match[1]));
+        const limit = Number(searchParams.get('limit') ?? 12);
+        const offset = Number(searchParams.get('offset') ?? 0);
+        const { count, works } = await this.#readPage(slug, offset, limit);
+
+        return {
+            status: 200,
+            headers: { 'content-type': 'application/json' },
+            data: {
+                key: `/subjects/${slug}`,
+                name: slug.replace(/_/g, ' '),
+                subject_type: 'subject',
+                work_count: count,
+                works
+            }
+        };
+    }
+
+    // Uses the offset index to read only the requested lines, so walking a subject page by page stays linear
+    async #readPage(slug, offset, limit) {
+        let index;
+
+        try {
+            index = await open(subjectIndexFile(this.#dir, slug));
+        } catch(err) {
+            // Unknown subject
+            if (err.code === 'ENOENT') {
+                return { count: 0, works: [] };
+            }
+            throw err;
+        }
+
+        let data;
+
+        try {
+            const count = (await index.stat()).size / OFFSET_BYTES;
+            const first = Math.min(offset, count);
+            const last = Math.min(offset + limit, count);
+
+            if (first >= last) {
+                return { count, works: [] };
+            }
+
+            // One offset past the page gives where its last line ends, unless the page runs to the end of the file
+            const positions = Buffer.alloc((Math.min(last + 1, count) - first) * OFFSET_BYTES);
+            await index.read(positions, 0, positions.length, first * OFFSET_BYTES);
+
+            data = await open(subjectFile(this.#dir, slug));
+            const start = positions.readDoubleLE(0);
+            const end = last < count
+                ? positions.readDoubleLE((last - first) * OFFSET_BYTES)
+                : (await data.stat()).size;
+            const bytes = Buffer.alloc(end - start);
+            await data.read(bytes, 0, bytes.length, start);
+
+            return { count, works: parseLines(bytes.toString('utf8')) };
+        } finally {
+            await index.close();
+            await data?.close();
+        }
+    }
+}
+
+function parseLines(text) {
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
@@ -0,0 +1,147 @@
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+import { createBooksClient, normalizeSubject } from './books.js';
+import { importWorksDump, LocalCatalogSource, parseDumpLine, subjectFile, toSubjectWork } from './catalog.js';
+import { EXIT_OK, EXIT_USAGE, run } from './cli.js';
+import { NotFoundError } from './errors.js';
+
+const work = (id, title, subjects, extra = {}) => ({
+    type: { key: '/type/work' },
+    key: `/works/${id}`,
+    title,
+    subjects,
+    authors: [{ author: { key: '/authors/OL1A' }, type: { key: '/type/author_role' } }],
+    ...extra
+});
+
+// The official dump is tab separated: type, key, revision, last_modified, JSON
+const tsv = (record) => ['/type/work', record.key, '3', '2023-01-01T00:00:00.000', JSON.stringify(record)].join('\t');
+
+const DUMP = [
+    tsv(work('OL1W', 'Eloquent JavaScript', ['JavaScript', 'Web programming'], { first_publish_date: 'December 2010', covers: [-1, 8331891] })),
+    tsv(work('OL2W', 'JavaScript: The Good Parts', ['javascript'])),
+    JSON.stringify(work('OL3W', 'Head First Java', ['Java', 'Web Programming'])),
+    tsv(work('OL4W', 'No subjects', [])),
+    tsv({ type: { key: '/type/redirect' }, key: '/works/OL5W', location: '/works/OL1W' }),
+    'not json at all\t\t\t\t{',
+    ''
+].join('\n');
+
+describe('parseDumpLine and toSubjectWork', () => {
+    test('read TSV and JSONL lines into subject entries', () => {
+        const record = parseDumpLine(DUMP.split('\n')[0]);
+
+        expect(parseDumpLine(DUMP.split('\n')[2])).toMatchObject({ key: '/works/OL3W' });
+        expect(toSubjectWork(record)).toEqual({
+            key: '/works/OL1W',
+            title: 'Eloquent JavaScript',
+            authors: [{ key: '/authors/OL1A', name: '' }],
+            first_publish_year: 2010,
+            cover_id: 8331891,
+            subject: ['JavaScript', 'Web programming']
+        });
+    });
+});
+
+describe('local catalog', () => {
+    let dir;
+    let input;
+
+    beforeAll(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'books-catalog-'));
+        input = path.join(dir, 'ol_dump_works.txt.gz');
+        await writeFile(input, gzipSync(DUMP));
+    });
+
+    afterAll(() => rm(dir, { recursive: true, force: true }));
+
+    test('importWorksDump streams a gzipped dump into a subject index', async () => {
+        await expect(importWorksDump({ input, dir: path.join(dir, 'catalog') })).resolves.toEqual({ works: 3, subjects: 3, skipped: 3 });
+
+        const meta = JSON.parse(await readFile(path.join(dir, 'catalog', 'meta.json'), 'utf8'));
+        expect(meta).toMatchObject({ source: 'ol_dump_works.txt.gz', works: 3, subjects: 3 });
+    });
+
+    test('LocalCatalogSource answers the client like the HTTP API', async () => {
+        const client = createBooksClient({ transport: new LocalCatalogSource({ dir: path.join(dir, 'catalog') }), rateLimit: false });
+
+        await expect(client.getTitlesBySubject('javascript')).resolves.toEqual(['Eloquent JavaScript', 'JavaScript: The Good Parts']);
+        await expect(client.getTitlesBySubject('Web Programming', { offset: 1 })).resolves.toEqual(['Head First Java']);
+        await expect(client.getBooksBySubject('cobol')).rejects.toBeInstanceOf(NotFoundError);
+        await expect(client.getWork('OL1W', { result: true })).resolves.toMatchObject({ ok: false, error: expect.any(NotFoundError) });
+    });
+
+    test('the cli imports and reads a catalog', async () => {
+        const stdout = { text: '', write(chunk) { this.text += chunk; } };
+        const catalog = path.join(dir, 'cli-catalog');
+
+        await expect(run(['import', input, '--catalog', catalog], { stdout, stderr: stdout })).resolves.toBe(EXIT_OK);
+        expect(stdout.text).toBe(`Imported 3 works under 3 subjects into ${catalog} (3 lines skipped)\n`);
+
+        stdout.text = '';
+        await expect(run(['titles', 'java', '--catalog', catalog, '--format', 'ndjson', '--fields', 'title'], { stdout, stderr: stdout })).resolves.toBe(EXIT_OK);
+        expect(stdout.text).toBe('{"title":"Head First Java"}\n');
+    });
+
+    test('the cli reports a missing dump as bad usage', async () => {
+        const stderr = { text: '', write(chunk) { this.text += chunk; } };
+        const catalog = path.join(dir, 'missing-catalog');
+
+        await expect(run(['import', path.join(dir, 'nope.gz'), '--catalog', catalog], { stdout: stderr, stderr })).resolves.toBe(EXIT_USAGE);
+        expect(stderr.text).toContain(`UsageError: Cannot read dump file ${path.join(dir, 'nope.gz')}`);
+    });
+
+    test('a failed import leaves the existing catalog alone', async () => {
+        const catalog = path.join(dir, 'kept-catalog');
+        const corrupt = path.join(dir, 'corrupt.txt.gz');
+
+        await writeFile(corrupt, gzipSync(DUMP).subarray(0, 40));
+        await importWorksDump({ input, dir: catalog });
+        const meta = await readFile(path.join(catalog, 'meta.json'), 'utf8');
+
+        await expect(importWorksDump({ input: path.join(dir, 'missing.txt'), dir: catalog })).rejects.toThrow(/ENOENT/);
+        await expect(importWorksDump({ input: path.join(dir, 'missing.txt.gz'), dir: catalog })).rejects.toThrow(/ENOENT/);
+        await expect(importWorksDump({ input: corrupt, dir: catalog })).rejects.toThrow();
+
+        await expect(readFile(path.join(catalog, 'meta.json'), 'utf8')).resolves.toBe(meta);
+        await expect(readdir(catalog)).resolves.toEqual(['meta.json', 'subjects']);
+
+        const client = createBooksClient({ transport: new LocalCatalogSource({ dir: catalog }), rateLimit: false });
+        await expect(client.getTitlesBySubject('java')).resolves.toEqual(['Head First Java']);
+    });
+
+    test('very long subjects get a shortened file name', async () => {
+        const catalog = path.join(dir, 'long-catalog');
+        const subject = 'History -- '.repeat(33).trim();
+        const longDump = path.join(dir, 'long.txt');
+        await writeFile(longDump, tsv(work('OL9W', 'A Long History', [subject])));
+
+        await expect(importWorksDump({ input: longDump, dir: catalog })).resolves.toEqual({ works: 1, subjects: 1, skipped: 0 });
+
+        const client = createBooksClient({ transport: new LocalCatalogSource({ dir: catalog }), rateLimit: false });
+        await expect(client.getTitlesBySubject(subject)).resolves.toEqual(['A Long History']);
+        expect(path.basename(subjectFile(catalog, normalizeSubject(subject)))).toMatch(/^(history_){10}-[0-9a-f]{10}\.jsonl$/);
+    });
+
+    test('pages are read through the offset index', async () => {
+        const catalog = path.join(dir, 'paged-catalog');
+        const titles = ['Ästhetik', 'Ω', 'Plain', '日本の歴史', 'Last'];
+        const pagedDump = path.join(dir, 'paged.txt');
+        await writeFile(pagedDump, titles.map((title, i) => tsv(work(`OL${i}W`, title, ['Art']))).join('\n'));
+        await importWorksDump({ input: pagedDump, dir: catalog });
+
+        const source = new LocalCatalogSource({ dir: catalog });
+        const page = async (query) => (await source.get(`/subjects/art.json?${query}`)).data;
+
+        await expect(page('limit=2&offset=1')).resolves.toMatchObject({ work_count: 5, works: [{ title: 'Ω' }, { title: 'Plain' }] });
+        await expect(page('limit=2&offset=3')).resolves.toMatchObject({ work_count: 5, works: [{ title: '日本の歴史' }, { title: 'Last' }] });
+        await expect(page('limit=2&offset=5')).resolves.toMatchObject({ work_count: 5, works: [] });
+
+        // A line outside the page is never parsed
+        const file = subjectFile(catalog, 'art');
+        await writeFile(file, (await readFile(file, 'utf8')).replace('"Last"', '"Last'));
+        await expect(page('limit=3&offset=0')).resolves.toMatchObject({ works: [{ title: 'Ästhetik' }, { title: 'Ω' }, { title: 'Plain' }] });
+    });
+});
@@ -0,0 +1,340 @@
+import { access, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { startApiServer } from './apiServer.js';
+import { createBooksClient } from './books.js';
+import { createCache } from './cache.js';
+import { importWorksDump, LocalCatalogSource } from './catalog.js';
+import { AbortError, HttpError, NetworkError, NotFoundError } from './errors.js';
+import { COLUMNS, exportToString } from './export.js';
+import { formatters } from './format.js';
+import { findTitles, highlight } from './fuzzy.js';
+import { compareTitles, pluckWorks } from './helper.js';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_NETWORK = 3;
+export const EXIT_ABORTED = 130;
+
+export const HELP = `Usage: books titles <subject...> [options]
+       books find <query...> --subject <subject> [--subject <subject>...]
+       books import <works-dump> --catalog <dir>
+       books serve [--port <n>] [--catalog <dir>]
+
+titles lists the works Open Library has for one or more subjects.
+find ranks the titles of the given subjects by fuzzy similarity to the query.
+import builds a local catalog from an Open Library works dump (.txt, .jsonl, optionally .gz).
+serve answers GET /subjects/<subject>/titles, /works/<key> and /health over HTTP until interrupted.
+
+Options:
+  --limit <n>        Works to fetch per subject
+  --offset <n>       Works to skip per subject
+  --format <format>  table (default), json, csv, ndjson or markdown
+  --sort <key>       title or year
+  --fields <list>    Comma separated columns (default: subject,title,authors,first_publish_year)
+                     Available: subject, key, title, authors, first_publish_year,
+                     edition_count, cover_id, cover_url, subjects, availability
+  --output <file>    Write to a file instead of stdout
+  --timeout <ms>     Give up on the whole command (serve: each request) after this many milliseconds
+  --catalog <dir>    Read from (titles, find) or write to (import) a local catalog instead of openlibrary.org
+  --subject <name>   Subject to search in (find)
+  --threshold <0-1>  Minimum similarity score (find, default 0.5)
+  --top <n>          Maximum number of matches (find, default 10)
+  --port <n>         Port to listen on (serve, default 8080)
+  -h, --help         Show this help
+
+Exit codes:
+  0    success
+  1    unknown subject or unexpected failure
+  2    bad usage
+  3    network or upstream failure
+  130  interrupted or timed out
+`;
+
+// csv, ndjson and markdown stream through export.js; table and json are laid out by format.js
+const FORMATS = [...Object.keys(formatters), 'csv', 'ndjson', 'markdown'];
+
+const DEFAULT_FIELDS = ['subject', 'title', 'authors', 'first_publish_year'];
+
+const byTitle = compareTitles();
+
+const SORTS = {
+    title: (a, b) => byTitle(a.title, b.title),
+    // Works without a year go last
+    year: (a, b) => (a.first_publish_year ?? Infinity) - (b.first_publish_year ?? Infinity)
+};
+
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function toCount(name, value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const count = Number(value);
+
+    if (!Number.isInteger(count) || count < 0) {
+        throw new UsageError(`--${name} must be a non-negative integer, got "${value}"`);
+    }
+
+    return count;
+}
+
+function oneOf(name, value, allowed) {
+    if (value !== undefined && !allowed.includes(value)) {
+        throw new UsageError(`--${name} must be one of ${allowed.join(', ')}, got "${value}"`);
+    }
+
+    return value;
+}
+
+export function parseCommand(argv) {
+    let parsed;
+
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                limit: { type: 'string' },
+                offset: { type: 'string' },
+                format: { type: 'string', default: 'table' },
+                sort: { type: 'string' },
+                fields: { type: 'string' },
+                output: { type: 'string' },
+                timeout: { type: 'string' },
+                catalog: { type: 'string' },
+                subject: { type: 'string', multiple: true },
+                threshold: { type: 'string' },
+                top: { type: 'string' },
+                port: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch(err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    const [command, ...subjects] = positionals;
+
+    if (command === 'import') {
+        if (subjects.length !== 1 || !values.catalog) {
+            throw new UsageError('import needs exactly one dump file and --catalog <dir>');
+        }
+
+        return { command, input: subjects[0], catalog: values.catalog };
+    }
+
+    if (command === 'serve') {
+        if (subjects.length) {
+            throw new UsageError('serve takes no positional arguments');
+        }
+
+        return { command, port: toCount('port', values.port), timeoutMs: toCount('timeout', values.timeout), catalog: values.catalog };
+    }
+
+    if (command === 'find') {
+        return parseFind(values, subjects);
+    }
+
+    if (command !== 'titles') {
+        throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+    }
+
+    if (!subjects.length) {
+        throw new UsageError('At least one subject is required');
+    }
+
+    const fields = values.fields ? values.fields.split(',').map(field => field.trim()).filter(Boolean) : DEFAULT_FIELDS;
+    const unknown = fields.filter(field => !COLUMNS[field]);
+
+    if (!fields.length || unknown.length) {
+        throw new UsageError(`Unknown field(s): ${unknown.join(', ') || '(none given)'}`);
+    }
+
+    return {
+        command,
+        subjects,
+        limit: toCount('limit', values.limit),
+        offset: toCount('offset', values.offset),
+        format: oneOf('format', values.format, FORMATS),
+        sort: oneOf('sort', values.sort, Object.keys(SORTS)),
+        fields,
+        output: values.output,
+        timeoutMs: toCount('timeout', values.timeout),
+        catalog: values.catalog
+    };
+}
+
+function parseFind(values, words) {
+    const threshold = values.threshold === undefined ? undefined : Number(values.threshold);
+
+    if (!words.length || !values.subject?.length) {
+        throw new UsageError('find needs a query and at least one --subject');
+    }
+
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+        throw new UsageError(`--threshold must be between 0 and 1, got "${values.threshold}"`);
+    }
+
+    return {
+        command: 'find',
+        query: words.join(' '),
+        subjects: values.subject,
+        threshold,
+        top: toCount('top', values.top),
+        limit: toCount('limit', values.limit),
+        offset: toCount('offset', values.offset),
+        timeoutMs: toCount('timeout', values.timeout),
+        catalog: values.catalog,
+        output: values.output
+    };
+}
+
+export function exitCodeFor(err) {
+    if (err instanceof UsageError) {
+        return EXIT_USAGE;
+    }
+
+    if (err instanceof AbortError) {
+        return EXIT_ABORTED;
+    }
+
+    if (err instanceof NotFoundError) {
+        return EXIT_FAILURE;
+    }
+
+    if (err instanceof NetworkError || err instanceof HttpError) {
+        return EXIT_NETWORK;
+    }
+
+    return EXIT_FAILURE;
+}
+
+async function fetchWorks(options, client, signal) {
+    const works = [];
+    const deadline = options.timeoutMs === undefined ? undefined : Date.now() + options.timeoutMs;
+
+    for (const subject of options.subjects) {
+        const data = await client.getBooksBySubject(subject, {
+            limit: options.limit,
+            offset: options.offset,
+            signal,
+            timeoutMs: deadline === undefined ? undefined : Math.max(0, deadline - Date.now())
+        });
+        works.push(...pluckWorks(data).map(work => ({ ...work, subject })));
+    }
+
+    return works;
+}
+
+async function titles(options, client, signal) {
+    const works = await fetchWorks(options, client, signal);
+
+    if (options.sort) {
+        works.sort(SORTS[options.sort]);
+    }
+
+    if (!formatters[options.format]) {
+        return exportToString(works, { format: options.format, columns: options.fields });
+    }
+
+    const records = works.map(work => Object.fromEntries(options.fields.map(field => [field, COLUMNS[field](work)])));
+    return formatters[options.format](options.fields, records);
+}
+
+// Matches are bold on a terminal; elsewhere the plain title is printed
+async function find(options, client, signal, { color }) {
+    const works = await fetchWorks(options, client, signal);
+    const marks = color ? { open: '\x1b[1m', close: '\x1b[22m' } : { open: '', close: '' };
+
+    return findTitles(options.query, works, { threshold: options.threshold, limit: options.top })
+        .map(match => `${match.score.toFixed(2)}  ${highlight(match.title, match.ranges, marks)}\n`)
+        .join('');
+}
+
+// Runs until the signal fires (SIGINT from index.js), then stops accepting requests
+async function serve(options, client, { stdout, signal }) {
+    const server = await startApiServer({ client, port: options.port, timeoutMs: options.timeoutMs });
+    stdout.write(`Listening on ${server.baseUrl}\n`);
+
+    await new Promise((resolve) => {
+        if (signal?.aborted) {
+            return resolve();
+        }
+        signal?.addEventListener('abort', resolve, { once: true });
+    });
+
+    await server.close();
+    return EXIT_OK;
+}
+
+// Resolves with the process exit code; never calls process.exit so it can be driven from tests
+export async function run(argv, {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    client,
+    signal
+} = {}) {
+    try {
+        const options = parseCommand(argv);
+
+        if (options.help) {
+            stdout.write(HELP);
+            return EXIT_OK;
+        }
+
+        if (options.command === 'import') {
+            await access(options.input).catch(() => {
+                throw new UsageError(`Cannot read dump file ${options.input}`);
+            });
+
+            const { works, subjects, skipped } = await importWorksDump({ input: options.input, dir: options.catalog });
+            stdout.write(`Imported ${works} works under ${subjects} subjects into ${options.catalog} (${skipped} lines skipped)\n`);
+            return EXIT_OK;
+        }
+
+        // serve keeps payloads in memory so a repeated If-None-Match is answered without asking upstream again
+        const cache = options.command === 'serve' ? createCache() : null;
+
+        // A local catalog is the same client with a different transport
+        const source = options.catalog
+            ? createBooksClient({ transport: new LocalCatalogSource({ dir: options.catalog }), rateLimit: false, retry: false, cache })
+            : client ?? createBooksClient({ cache });
+
+        if (options.command === 'serve') {
+            return await serve(options, source, { stdout, signal });
+        }
+
+        const output = options.command === 'find'
+            ? await find(options, source, signal, { color: Boolean(stdout.isTTY) && !options.output })
+            : await titles(options, source, signal);
+
+        if (options.output) {
+            await writeFile(options.output, output);
+        } else {
+            stdout.write(output);
+        }
+
+        return EXIT_OK;
+    } catch(err) {
+        stderr.write(`${err.name}: ${err.message}\n`);
+
+        if (err instanceof UsageError) {
+            stderr.write('Run with --help for usage.\n');
+        }
+
+        return exitCodeFor(err);
+    }
+}
@@ -0,0 +1,216 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import axios from 'axios';
+import { createBooksClient } from './books.js';
+import { EXIT_FAILURE, EXIT_NETWORK, EXIT_OK, EXIT_USAGE, run } from './cli.js';
+import { startFakeServer } from './fakeServer.js';
+
+function output() {
+    const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+    return stream;
+}
+
+describe('books titles', () => {
+    let server;
+    let client;
+    let stdout;
+    let stderr;
+
+    const books = (...argv) => run(argv, { stdout, stderr, client });
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false });
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(() => {
+        stdout = output();
+        stderr = output();
+    });
+
+    test('prints a table by default', async () => {
+        await expect(books('titles', 'java')).resolves.toBe(EXIT_OK);
+
+        expect(stdout.text).toBe([
+            'subject  title            authors       first_publish_year',
+            '-------  ---------------  ------------  ------------------',
+            'java     Head First Java  Kathy Sierra  2003',
+            'java     Effective Java   Joshua Bloch  2001',
+            ''
+        ].join('\n'));
+    });
+
+    test('passes limit and offset through and sorts by year', async () => {
+        await books('titles', 'javascript', '--limit', '3', '--offset', '1', '--sort', 'year', '--fields', 'title,first_publish_year', '--format', 'json');
+
+        expect(JSON.parse(stdout.text)).toEqual([
+            { title: 'JavaScript: The Definitive Guide', first_publish_year: 1996 },
+            { title: 'JavaScript: The Good Parts', first_publish_year: 2008 },
+            { title: "You Don't Know JS", first_publish_year: 2014 }
+        ]);
+    });
+
+    test('combines several subjects as csv', async () => {
+        await books('titles', 'java', 'web_development', '--fields', 'subject,title', '--format', 'csv', '--sort', 'title');
+
+        expect(stdout.text.split('\r\n')).toEqual([
+            'subject,title',
+            'java,Effective Java',
+            'web_development,Eloquent JavaScript',
+            'java,Head First Java',
+            'web_development,Head First Java',
+            'web_development,Learning Web Design',
+            ''
+        ]);
+    });
+
+    test('writes ndjson to --output', async () => {
+        const dir = await mkdtemp(path.join(os.tmpdir(), 'books-cli-'));
+        const file = path.join(dir, 'java.ndjson');
+
+        await expect(books('titles', 'java', '--format', 'ndjson', '--fields', 'key', '--output', file)).resolves.toBe(EXIT_OK);
+
+        expect(stdout.text).toBe('');
+        expect(await readFile(file, 'utf8')).toBe('{"key":"/works/OL5734930W"}\n{"key":"/works/OL8046045W"}\n');
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('prints help', async () => {
+        await expect(books('--help')).resolves.toBe(EXIT_OK);
+        expect(stdout.text).toMatch(/^Usage: books titles <subject\.\.\.> \[options\]/);
+    });
+
+    test.each([
+        [[]],
+        [['titles']],
+        [['authors', 'java']],
+        [['titles', 'java', '--format', 'xml']],
+        [['titles', 'java', '--limit', '-1']],
+        [['titles', 'java', '--fields', 'isbn']],
+        [['titles', 'java', '--verbose']]
+    ])('exits with 2 on bad usage: %j', async (argv) => {
+        await expect(books(...argv)).resolves.toBe(EXIT_USAGE);
+        expect(stderr.text).toMatch(/^UsageError: /);
+    });
+
+    test('exits with 3 when the upstream is failing', async () => {
+        server.queueResponse({ status: 503 });
+        await expect(books('titles', 'java')).resolves.toBe(EXIT_NETWORK);
+    });
+
+    test('exits with 1 for unknown subjects', async () => {
+        await expect(books('titles', 'nope')).resolves.toBe(EXIT_FAILURE);
+        expect(stderr.text).toContain('NotFoundError');
+    });
+});
+
+describe('books find', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false, rateLimit: false });
+    });
+
+    afterAll(() => server.close());
+
+    test('prints matches best first with their scores', async () => {
+        const stdout = output();
+
+        await expect(run(['find', 'eloquent', 'javascrpt', '--subject', 'javascript', '--threshold', '0', '--top', '2'], { stdout, client })).resolves.toBe(EXIT_OK);
+
+        const lines = stdout.text.trim().split('\n');
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatch(/^0\.9\d  Eloquent JavaScript$/);
+    });
+
+    test('highlights matched words on a terminal', async () => {
+        const stdout = Object.assign(output(), { isTTY: true });
+
+        await run(['find', 'good parts', '--subject', 'javascript', '--top', '1'], { stdout, client });
+
+        expect(stdout.text).toContain('JavaScript: The \x1b[1mGood\x1b[22m \x1b[1mParts\x1b[22m');
+    });
+
+    test.each([
+        [['find', '--subject', 'javascript']],
+        [['find', 'dune']],
+        [['find', 'dune', '--subject', 'scifi', '--threshold', '2']]
+    ])('exits with 2 on bad usage: %j', async (argv) => {
+        await expect(run(argv, { stdout: output(), stderr: output(), client })).resolves.toBe(EXIT_USAGE);
+    });
+});
+
+describe('books titles --format markdown', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+    });
+
+    afterAll(() => server.close());
+
+    test('goes through the export module', async () => {
+        const stdout = output();
+        const client = createBooksClient({ baseUrl: server.baseUrl, rateLimit: false });
+
+        await run(['titles', 'java', '--format', 'markdown', '--fields', 'title,edition_count'], { stdout, client });
+
+        expect(stdout.text).toBe('| title | edition_count |\n| --- | --- |\n| Head First Java | 14 |\n| Effective Java | 8 |\n');
+    });
+});
+
+describe('books serve', () => {
+    const listening = (stdout) => new Promise((resolve) => {
+        const poll = () => stdout.text ? resolve(stdout.text.match(/Listening on (\S+)/)[1]) : setTimeout(poll, 5);
+        poll();
+    });
+
+    test('serves until the signal fires', async () => {
+        const controller = new AbortController();
+        const stdout = output();
+        const stderr = output();
+        const transport = { get: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: { key: '/works/OL1W', title: 'One' } }) };
+        const client = createBooksClient({ transport, rateLimit: false });
+        const exited = run(['serve', '--port', '0'], { stdout, stderr, client, signal: controller.signal });
+        const baseUrl = await listening(stdout);
+        const response = await fetch(`${baseUrl}/works/OL1W`);
+        await expect(response.json()).resolves.toEqual({ key: '/works/OL1W', title: 'One' });
+
+        controller.abort();
+        await expect(exited).resolves.toBe(EXIT_OK);
+        expect(stderr.text).toBe('');
+    });
+
+    test('answers a repeated If-None-Match from its cache', async () => {
+        const controller = new AbortController();
+        const stdout = output();
+        const get = jest.spyOn(axios, 'get').mockResolvedValue({ status: 200, headers: {}, data: { work_count: 1, works: [{ title: 'Head First Java' }] } });
+        const exited = run(['serve', '--port', '0'], { stdout, stderr: output(), signal: controller.signal });
+        const baseUrl = await listening(stdout);
+
+        try {
+            const first = await fetch(`${baseUrl}/subjects/java/titles`);
+            const second = await fetch(`${baseUrl}/subjects/java/titles`, { headers: { 'If-None-Match': first.headers.get('etag') } });
+
+            expect(second.status).toBe(304);
+            expect(get).toHaveBeenCalledTimes(1);
+        } finally {
+            controller.abort();
+            get.mockRestore();
+        }
+
+        await expect(exited).resolves.toBe(EXIT_OK);
+    });
+
+    test('rejects positional arguments', async () => {
+        const stderr = output();
+
+        await expect(run(['serve', 'java'], { stdout: output(), stderr })).resolves.toBe(EXIT_USAGE);
+        expect(stderr.text).toContain('serve takes no positional arguments');
+    });
+});
@@ -0,0 +1,63 @@
+import { bareKey, createBooksClient } from './books.js';
+import { NotFoundError } from './errors.js';
+import { startFakeServer } from './fakeServer.js';
+import { pluckWorks, textValue } from './helper.js';
+
+describe('bareKey and textValue', () => {
+    test('normalize Open Library keys and text fields', () => {
+        expect(['/works/OL1W', 'works/OL1W', 'OL1W'].map(bareKey)).toEqual(['OL1W', 'OL1W', 'OL1W']);
+        expect(textValue({ type: '/type/text', value: 'bio' })).toBe('bio');
+        expect(textValue('bio')).toBe('bio');
+        expect(textValue(undefined)).toBeNull();
+    });
+});
+
+describe('work and author lookups', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false });
+    });
+
+    test('getWork and getAuthor fetch the detail records', async () => {
+        await expect(client.getWork('/works/OL8046045W')).resolves.toMatchObject({ title: 'Effective Java' });
+        await expect(client.getAuthor('OL434859A')).resolves.toMatchObject({ name: 'Joshua Bloch' });
+        await expect(client.getWork('OL0W')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('enrichWorks attaches details and fetches each key once', async () => {
+        const subject = await client.getBooksBySubject('java');
+        const works = [...pluckWorks(subject), ...pluckWorks(subject)];
+
+        const enriched = await client.enrichWorks(works, { concurrency: 2 });
+
+        expect(enriched[1]).toMatchObject({
+            key: '/works/OL8046045W',
+            description: 'Programming language guide covering best practices for the Java platform.',
+            details: { revision: 9 },
+            authors: [{ name: 'Joshua Bloch', key: '/authors/OL434859A', details: { birth_date: 'August 28, 1961' } }]
+        });
+        expect(enriched[2]).toEqual(enriched[0]);
+        expect(server.requests.map(({ url }) => url).sort()).toEqual([
+            '/authors/OL1394865A.json',
+            '/authors/OL434859A.json',
+            '/subjects/java.json',
+            '/works/OL5734930W.json',
+            '/works/OL8046045W.json'
+        ]);
+    });
+
+    test('enrichWorks leaves details null for unknown keys', async () => {
+        const [work] = await client.enrichWorks([{ key: '/works/OL0W', title: 'Ghost', authors: [{ name: 'Nobody', key: '/authors/OL0A' }] }]);
+
+        expect(work).toMatchObject({ details: null, description: null, authors: [{ details: null }] });
+    });
+});
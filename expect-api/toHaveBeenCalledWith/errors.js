@@ -0,0 +1,89 @@
+export class BooksError extends Error {
+    constructor(message, { cause, url } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.url = url;
+    }
+}
+
+export class NetworkError extends BooksError {}
+
+// Thrown when the caller's AbortSignal fires; never retried
+export class AbortError extends BooksError {}
+
+export class TimeoutError extends AbortError {
+    constructor(message, { timeoutMs, ...rest } = {}) {
+        super(message, rest);
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+export class MalformedResponseError extends BooksError {}
+
+// Replay mode was asked for a request that has no recording
+export class UnrecordedRequestError extends BooksError {}
+
+// retryAfterMs is set whenever the response had a Retry-After header, whatever the status (429 and 503 both send it)
+export class HttpError extends BooksError {
+    constructor(message, { status, headers = {}, ...rest } = {}) {
+        super(message, rest);
+        this.status = status;
+        this.headers = headers;
+        this.retryAfterMs = parseRetryAfter(headers['retry-after']);
+    }
+}
+
+export class NotFoundError extends HttpError {}
+
+export class RateLimitError extends HttpError {}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const seconds = Number(value);
+
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function httpErrorFor(status, { url, headers, cause } = {}) {
+    const options = { status, headers, url, cause };
+
+    if (status === 404) {
+        return new NotFoundError(`Not found: ${url}`, options);
+    }
+
+    if (status === 429) {
+        return new RateLimitError(`Rate limited by ${url}`, options);
+    }
+
+    return new HttpError(`Request to ${url} failed with status ${status}`, options);
+}
+
+// Maps whatever the transport threw onto the BooksError hierarchy
+export function toBooksError(err, url) {
+    if (err instanceof BooksError) {
+        return err;
+    }
+
+    if (err.response) {
+        return httpErrorFor(err.response.status, { url, headers: err.response.headers, cause: err });
+    }
+
+    return new NetworkError(`Network error requesting ${url}: ${err.message}`, { url, cause: err });
+}
+
+export async function toResult(promise) {
+    try {
+        return { ok: true, data: await promise, error: null };
+    } catch(err) {
+        return { ok: false, data: null, error: err };
+    }
+}
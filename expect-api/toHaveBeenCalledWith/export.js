@@ -0,0 +1,143 @@
+import { once } from 'node:events';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+/*
+    Streaming writers for helper.js Work records. Each format is an encoder with a header (written
+    before the first row, or on its own when there are no rows) and one chunk per row.
+*/
+
+// Columns a caller can pick by name; `subject` is only set on works the CLI tagged with their subject
+export const COLUMNS = {
+    subject: (work) => work.subject ?? null,
+    key: (work) => work.key,
+    title: (work) => work.title,
+    authors: (work) => work.authors.map(author => author.name),
+    first_publish_year: (work) => work.first_publish_year,
+    edition_count: (work) => work.edition_count,
+    cover_id: (work) => work.cover_id,
+    cover_url: (work) => work.covers?.medium ?? null,
+    subjects: (work) => work.subjects,
+    availability: (work) => work.availability.status
+};
+
+export const DEFAULT_COLUMNS = ['key', 'title', 'authors', 'first_publish_year', 'edition_count'];
+
+/**
+ * Columns are names from COLUMNS or { name, header, value(work) } objects, written in the order given.
+ */
+export function resolveColumns(columns = DEFAULT_COLUMNS) {
+    return columns.map(column => {
+        if (typeof column === 'object') {
+            return { header: column.name, ...column };
+        }
+
+        if (!COLUMNS[column]) {
+            throw new TypeError(`Unknown column "${column}", expected one of ${Object.keys(COLUMNS).join(', ')}`);
+        }
+
+        return { name: column, header: column, value: COLUMNS[column] };
+    });
+}
+
+export function cellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    return Array.isArray(value) ? value.join('; ') : String(value);
+}
+
+// RFC 4180: quote fields holding a quote, comma or line break, and double any quotes inside
+export function csvCell(value) {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function markdownCell(value) {
+    return cellText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+export const ENCODERS = {
+    csv: {
+        header: (columns) => columns.map(column => csvCell(column.header)).join(',') + '\r\n',
+        row: (columns, values) => values.map(csvCell).join(',') + '\r\n'
+    },
+    jsonl: {
+        header: () => '',
+        row: (columns, values) => JSON.stringify(Object.fromEntries(columns.map((column, index) => [column.header, values[index] ?? null]))) + '\n'
+    },
+    markdown: {
+        header: (columns) => [
+            `| ${columns.map(column => markdownCell(column.header)).join(' | ')} |`,
+            `| ${columns.map(() => '---').join(' | ')} |`
+        ].join('\n') + '\n',
+        row: (columns, values) => `| ${values.map(markdownCell).join(' | ')} |\n`
+    }
+};
+
+ENCODERS.ndjson = ENCODERS.jsonl;
+ENCODERS.md = ENCODERS.markdown;
+
+export const EXPORT_FORMATS = Object.keys(ENCODERS);
+
+// Object-mode writable side (works in), text readable side (the exported document out)
+export function createExportStream(format, { columns } = {}) {
+    const encoder = ENCODERS[format];
+
+    if (!encoder) {
+        throw new TypeError(`Unknown export format "${format}", expected one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const resolved = resolveColumns(columns);
+    let started = false;
+
+    const start = (stream) => {
+        if (!started) {
+            started = true;
+            const header = encoder.header(resolved);
+
+            if (header) {
+                stream.push(header);
+            }
+        }
+    };
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(work, encoding, callback) {
+            try {
+                start(this);
+                callback(null, encoder.row(resolved, resolved.map(column => column.value(work))));
+            } catch(err) {
+                callback(err);
+            }
+        },
+        flush(callback) {
+            start(this);
+            callback();
+        }
+    });
+}
+
+/**
+ * Writes works (an array, iterable or async iterable such as iterateWorksBySubject piped through normalizeWork)
+ * to a writable stream, honouring backpressure. The output stream is left open, so process.stdout is safe.
+ * Rejects with the source's error if it throws part way.
+ */
+export async function exportWorks(works, { format, columns, output }) {
+    // pipeline, unlike pipe, rejects when the source fails half way (e.g. a network error mid-walk)
+    await pipeline(Readable.from(works), createExportStream(format, { columns }), async (chunks) => {
+        for await (const chunk of chunks) {
+            if (!output.write(chunk)) {
+                await once(output, 'drain');
+            }
+        }
+    });
+}
+
+export async function exportToString(works, { format, columns }) {
+    let text = '';
+    await exportWorks(works, { format, columns, output: { write: (chunk) => { text += chunk; return true; } } });
+    return text;
+}
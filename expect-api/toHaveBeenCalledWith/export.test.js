@@ -0,0 +1,90 @@
+import { PassThrough } from 'node:stream';
+import { createExportStream, csvCell, exportToString, exportWorks, markdownCell } from './export.js';
+import { normalizeWork } from './helper.js';
+
+const works = [
+    normalizeWork({ key: '/works/OL1W', title: 'Eloquent JavaScript', authors: [{ name: 'Marijn Haverbeke' }], first_publish_year: 2011 }),
+    normalizeWork({ key: '/works/OL2W', title: 'Say "Hello", World', authors: [{ name: 'A' }, { name: 'B' }] }),
+    normalizeWork({ key: '/works/OL3W', title: 'Pipes | and\nnewlines' })
+];
+
+describe('cell encoding', () => {
+    test('csvCell quotes per RFC 4180', () => {
+        expect(csvCell('plain')).toBe('plain');
+        expect(csvCell('a,b')).toBe('"a,b"');
+        expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+        expect(csvCell('two\r\nlines')).toBe('"two\r\nlines"');
+        expect(csvCell(null)).toBe('');
+    });
+
+    test('markdownCell escapes pipes and line breaks', () => {
+        expect(markdownCell('a | b\nc')).toBe('a \\| b<br>c');
+    });
+});
+
+describe('exportToString', () => {
+    test('csv honours column selection and order', async () => {
+        await expect(exportToString(works, { format: 'csv', columns: ['title', 'key'] })).resolves.toBe(
+            'title,key\r\n' +
+            'Eloquent JavaScript,/works/OL1W\r\n' +
+            '"Say ""Hello"", World",/works/OL2W\r\n' +
+            '"Pipes | and\nnewlines",/works/OL3W\r\n'
+        );
+    });
+
+    test('jsonl writes one object per work', async () => {
+        const text = await exportToString(works.slice(0, 2), { format: 'jsonl', columns: ['key', 'authors', 'first_publish_year'] });
+
+        expect(text.split('\n').filter(Boolean).map(line => JSON.parse(line))).toEqual([
+            { key: '/works/OL1W', authors: ['Marijn Haverbeke'], first_publish_year: 2011 },
+            { key: '/works/OL2W', authors: ['A', 'B'], first_publish_year: null }
+        ]);
+    });
+
+    test('markdown writes a table', async () => {
+        await expect(exportToString(works.slice(1), { format: 'markdown', columns: ['title', 'authors'] })).resolves.toBe([
+            '| title | authors |',
+            '| --- | --- |',
+            '| Say "Hello", World | A; B |',
+            '| Pipes \\| and<br>newlines |  |',
+            ''
+        ].join('\n'));
+    });
+
+    test('custom columns and an empty input still produce a header', async () => {
+        const columns = [{ name: 'Title (upper)', value: (work) => work.title.toUpperCase() }];
+
+        await expect(exportToString([], { format: 'csv', columns })).resolves.toBe('Title (upper)\r\n');
+        await expect(exportToString(works.slice(0, 1), { format: 'csv', columns })).resolves.toBe('Title (upper)\r\nELOQUENT JAVASCRIPT\r\n');
+    });
+
+    test('unknown formats and columns are rejected', async () => {
+        expect(() => createExportStream('xml')).toThrow(TypeError);
+        await expect(exportToString(works, { format: 'csv', columns: ['isbn'] })).rejects.toThrow('Unknown column "isbn"');
+    });
+});
+
+describe('exportWorks', () => {
+    test('streams from an async iterable and leaves the output open', async () => {
+        async function* generate() {
+            yield* works;
+        }
+        const output = new PassThrough();
+        let text = '';
+        output.on('data', (chunk) => { text += chunk; });
+
+        await exportWorks(generate(), { format: 'jsonl', columns: ['key'], output });
+
+        expect(output.writableEnded).toBe(false);
+        expect(text).toBe('{"key":"/works/OL1W"}\n{"key":"/works/OL2W"}\n{"key":"/works/OL3W"}\n');
+    });
+
+    test('rejects when the source throws part way', async () => {
+        async function* generate() {
+            yield works[0];
+            throw new Error('Network error requesting /subjects/java.json');
+        }
+
+        await expect(exportWorks(generate(), { format: 'jsonl', columns: ['key'], output: new PassThrough() })).rejects.toThrow('Network error');
+    });
+});
@@ -0,0 +1,129 @@
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+async function readFixture(fixturesDir, ...segments) {
+    try {
+        return JSON.parse(await readFile(path.join(fixturesDir, ...segments), 'utf8'));
+    } catch(err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+const includes = (haystack, needle) => String(haystack).toLowerCase().includes(needle.toLowerCase());
+
+const SEARCH_FILTERS = {
+    q: (doc, value) => includes(doc.title, value) || doc.author_name.some(name => includes(name, value)),
+    title: (doc, value) => includes(doc.title, value),
+    author: (doc, value) => doc.author_name.some(name => includes(name, value)),
+    isbn: (doc, value) => doc.isbn.includes(value.replace(/-/g, ''))
+};
+
+const SEARCH_SORTS = {
+    new: (a, b) => b.first_publish_year - a.first_publish_year,
+    old: (a, b) => a.first_publish_year - b.first_publish_year,
+    title: (a, b) => a.title.localeCompare(b.title),
+    editions: (a, b) => b.edition_count - a.edition_count
+};
+
+const routes = [
+    {
+        pattern: /^\/(works|authors)\/([^/]+)\.json$/,
+        async handle(match, url, { fixturesDir }) {
+            return readFixture(fixturesDir, match[1], `${decodeURIComponent(match[2])}.json`);
+        }
+    },
+    {
+        // A tiny subset of /search.json: substring matching over fixtures/search.json
+        pattern: /^\/search\.json$/,
+        async handle(match, url, { fixturesDir }) {
+            const { docs } = await readFixture(fixturesDir, 'search.json');
+            const filters = Object.entries(SEARCH_FILTERS).filter(([name]) => url.searchParams.has(name));
+            const found = docs.filter(doc => filters.every(([name, filter]) => filter(doc, url.searchParams.get(name))));
+            const sort = SEARCH_SORTS[url.searchParams.get('sort')];
+
+            if (sort) {
+                found.sort(sort);
+            }
+
+            const limit = Number(url.searchParams.get('limit') ?? 100);
+            const start = (Number(url.searchParams.get('page') ?? 1) - 1) * limit;
+            return { numFound: found.length, start, docs: found.slice(start, start + limit) };
+        }
+    },
+    {
+        pattern: /^\/subjects\/([^/]+)\.json$/,
+        async handle(match, url, { fixturesDir }) {
+            const subject = await readFixture(fixturesDir, 'subjects', `${decodeURIComponent(match[1])}.json`);
+
+            if (!subject) {
+                return null;
+            }
+
+            // Same paging defaults as openlibrary.org
+            const limit = Number(url.searchParams.get('limit') ?? 12);
+            const offset = Number(url.searchParams.get('offset') ?? 0);
+            return { ...subject, works: subject.works.slice(offset, offset + limit) };
+        }
+    }
+];
+
+// Starts an in-process stand-in for openlibrary.org that serves JSON fixtures from disk
+export async function startFakeServer({ port = 0, fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+    const requests = [];
+    const queued = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, url: req.url });
+
+        if (queued.length) {
+            const { status = 200, headers, body = {} } = queued.shift();
+            return sendJson(res, status, body, headers);
+        }
+
+        if (req.method !== 'GET') {
+            return sendJson(res, 405, { error: 'method not allowed' });
+        }
+
+        try {
+            for (const route of routes) {
+                const match = url.pathname.match(route.pattern);
+
+                if (match) {
+                    const body = await route.handle(match, url, { fixturesDir });
+                    return body === null
+                        ? sendJson(res, 404, { error: 'notfound' })
+                        : sendJson(res, 200, body);
+                }
+            }
+
+            sendJson(res, 404, { error: 'notfound' });
+        } catch(err) {
+            sendJson(res, 500, { error: err.message });
+        }
+    });
+
+    await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // The next request gets this response instead of the fixture, e.g. { status: 429, headers: { 'Retry-After': '1' } }
+        queueResponse: (response) => queued.push(response),
+        close: () => new Promise((resolve, reject) => {
+            server.close((err) => err ? reject(err) : resolve());
+        })
+    };
+}
@@ -0,0 +1,24 @@
+import { cellText } from './export.js';
+
+// The CLI's whole-document formats; csv, ndjson and markdown stream through export.js instead
+
+export function formatTable(fields, records) {
+    const rows = [fields, ...records.map(record => fields.map(field => cellText(record[field])))];
+    const widths = fields.map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const line = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n') + '\n';
+}
+
+export function formatJson(fields, records) {
+    return JSON.stringify(records.map(record => pick(record, fields)), null, 2) + '\n';
+}
+
+function pick(record, fields) {
+    return Object.fromEntries(fields.map(field => [field, record[field] ?? null]));
+}
+
+export const formatters = {
+    table: formatTable,
+    json: formatJson
+};
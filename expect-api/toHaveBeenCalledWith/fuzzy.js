@@ -0,0 +1,135 @@
+import { normalizeTitle } from './helper.js';
+
+export const DEFAULT_THRESHOLD = 0.5;
+export const DEFAULT_LIMIT = 10;
+
+// Query words only count as matched (and get a highlight range) from this similarity up
+const WORD_MATCH = 0.6;
+// Share of the score that comes from word-level edit distance; the rest is whole-string trigram overlap
+const WORD_WEIGHT = 0.7;
+
+export function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// 1 for equal strings, 0 for nothing in common
+export function editSimilarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length ? 1 - levenshtein(a, b) / length : 1;
+}
+
+function trigrams(text) {
+    const padded = `  ${text} `;
+    const grams = new Set();
+
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+
+    return grams;
+}
+
+// Dice coefficient over character trigrams
+export function trigramSimilarity(a, b) {
+    const left = trigrams(a);
+    const right = trigrams(b);
+    let shared = 0;
+
+    left.forEach(gram => {
+        if (right.has(gram)) {
+            shared++;
+        }
+    });
+
+    return (2 * shared) / (left.size + right.size);
+}
+
+function words(text) {
+    return [...text.matchAll(/[\p{L}\p{N}']+/gu)].map(match => ({
+        text: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Scores one title against a query.
+ * Returns { score, ranges } where ranges are [start, end) offsets into title of the words that matched.
+ */
+export function scoreTitle(query, title) {
+    const queryWords = words(normalizeTitle(query));
+    const titleWords = words(title);
+
+    if (!queryWords.length || !titleWords.length) {
+        return { score: 0, ranges: [] };
+    }
+
+    const matched = new Map();
+    let total = 0;
+
+    for (const queryWord of queryWords) {
+        let best = { similarity: 0, word: null };
+
+        for (const titleWord of titleWords) {
+            const similarity = editSimilarity(queryWord.text, titleWord.text);
+
+            if (similarity > best.similarity) {
+                best = { similarity, word: titleWord };
+            }
+        }
+
+        total += best.similarity;
+
+        if (best.similarity >= WORD_MATCH) {
+            matched.set(best.word.start, best.word);
+        }
+    }
+
+    const wordScore = total / queryWords.length;
+    const gramScore = trigramSimilarity(normalizeTitle(query).toLowerCase(), normalizeTitle(title).toLowerCase());
+    const ranges = [...matched.values()].sort((a, b) => a.start - b.start).map(word => [word.start, word.end]);
+
+    return { score: WORD_WEIGHT * wordScore + (1 - WORD_WEIGHT) * gramScore, ranges };
+}
+
+/**
+ * Ranks candidates by fuzzy similarity to query, best first.
+ * works may be pluckTitles output (strings) or records with a title.
+ * Returns [{ title, work, score, ranges }] for candidates scoring at least threshold, at most limit of them.
+ */
+export function findTitles(query, works, { threshold = DEFAULT_THRESHOLD, limit = DEFAULT_LIMIT } = {}) {
+    return works
+        .map(work => {
+            const title = typeof work === 'string' ? work : work.title;
+            return { title, work, ...scoreTitle(query, title) };
+        })
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// Wraps each range of title in open/close markers, e.g. ANSI codes in a terminal
+export function highlight(title, ranges, { open = '[', close = ']' } = {}) {
+    let result = '';
+    let cursor = 0;
+
+    for (const [start, end] of ranges) {
+        result += title.slice(cursor, start) + open + title.slice(start, end) + close;
+        cursor = end;
+    }
+
+    return result + title.slice(cursor);
+}
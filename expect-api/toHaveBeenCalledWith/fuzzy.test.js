@@ -0,0 +1,55 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_FIXTURES_DIR } from './fakeServer.js';
+import { editSimilarity, findTitles, highlight, levenshtein, trigramSimilarity } from './fuzzy.js';
+import { pluckTitles, pluckWorks } from './helper.js';
+
+describe('similarity measures', () => {
+    test('levenshtein counts edits', () => {
+        expect(levenshtein('javascrpt', 'javascript')).toBe(1);
+        expect(levenshtein('kitten', 'sitting')).toBe(3);
+        expect(levenshtein('', 'abc')).toBe(3);
+    });
+
+    test('similarities run from 0 to 1', () => {
+        expect(editSimilarity('java', 'java')).toBe(1);
+        expect(trigramSimilarity('dune', 'dune')).toBe(1);
+        expect(trigramSimilarity('dune', 'xyz')).toBe(0);
+    });
+});
+
+describe('findTitles', () => {
+    let data;
+
+    beforeAll(async () => {
+        data = JSON.parse(await readFile(path.join(DEFAULT_FIXTURES_DIR, 'subjects', 'javascript.json'), 'utf8'));
+    });
+
+    test('ranks a misspelt query first and reports the matched ranges', () => {
+        const [best, ...rest] = findTitles('eloquent javascrpt', pluckTitles(data));
+
+        expect(best).toEqual({
+            title: 'Eloquent JavaScript',
+            work: 'Eloquent JavaScript',
+            score: expect.any(Number),
+            ranges: [[0, 8], [9, 19]]
+        });
+        expect(best.score).toBeGreaterThan(0.9);
+        rest.forEach(match => expect(match.score).toBeLessThan(best.score));
+    });
+
+    test('threshold and limit trim the candidates', () => {
+        const titles = pluckTitles(data);
+
+        expect(findTitles('javascript', titles, { threshold: 0 })).toHaveLength(titles.length);
+        expect(findTitles('javascript', titles, { limit: 2 })).toHaveLength(2);
+        expect(findTitles('quantum chromodynamics', titles)).toEqual([]);
+    });
+
+    test('accepts work records and hands them back', () => {
+        const [match] = findTitles('good parts', pluckWorks(data), { limit: 1 });
+
+        expect(match.work).toMatchObject({ key: '/works/OL2000069W' });
+        expect(highlight(match.title, match.ranges)).toBe('JavaScript: The [Good] [Parts]');
+    });
+});
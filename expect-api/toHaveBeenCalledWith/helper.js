@@ -1,7 +1,253 @@
-export function pluckTitles(data) {
+import { validateWorks } from './validate.js';
+
+export const COVERS_BASE_URL = 'https://covers.openlibrary.org';
+
+/**
+ * Works that fail validation are skipped in lenient mode (the default) and throw in strict mode.
+ * The other options are off by default and can be combined freely:
+ *   normalize  NFKC, trimmed, whitespace collapsed (see normalizeTitle)
+ *   dedupe     keep the first title per titleKey; ignoreArticle and ignoreSubtitle are passed on to it
+ *   sort       locale-aware order that ignores leading articles (see compareTitles)
+ */
+export function pluckTitles(data, { mode = 'lenient', normalize = false, dedupe = false, ignoreArticle, ignoreSubtitle, sort = false, locale } = {}) {
     if (!data.works ||  !data.works.length) {
         return [];
     }
 
-    return data.works.map(book => book.title);
+    let titles = validateWorks(data.works, { mode }).works.map(book => book.title);
+
+    if (normalize) {
+        titles = titles.map(normalizeTitle);
+    }
+
+    if (dedupe) {
+        titles = dedupeTitles(titles, { ignoreArticle, ignoreSubtitle });
+    }
+
+    if (sort) {
+        titles = sortTitles(titles, { locale });
+    }
+
+    return titles;
+}
+
+const LEADING_ARTICLE = /^(the|an|a)\s+/i;
+
+export function normalizeTitle(title) {
+    return title.normalize('NFKC').trim().replace(/\s+/g, ' ');
+}
+
+export function stripLeadingArticle(title) {
+    return title.replace(LEADING_ARTICLE, '');
+}
+
+// Key under which near-duplicate titles collide: case, punctuation and a leading article are ignored, and
+// with ignoreSubtitle anything after the first ":", ";" or " - " too
+export function titleKey(title, { ignoreArticle = true, ignoreSubtitle = false } = {}) {
+    let key = normalizeTitle(title).toLowerCase();
+
+    if (ignoreSubtitle) {
+        key = key.split(/\s*[:;]\s+|\s+[-\u2013\u2014]\s+/)[0];
+    }
+
+    if (ignoreArticle) {
+        key = stripLeadingArticle(key);
+    }
+
+    return key.replace(/[\p{P}\p{S}]+/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+export function dedupeTitles(titles, options) {
+    const seen = new Set();
+
+    return titles.filter(title => {
+        const key = titleKey(title, options);
+
+        if (seen.has(key)) {
+            return false;
+        }
+
+        seen.add(key);
+        return true;
+    });
+}
+
+export function compareTitles(locale) {
+    const collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+    return (a, b) => collator.compare(stripLeadingArticle(normalizeTitle(a)), stripLeadingArticle(normalizeTitle(b)));
+}
+
+export function sortTitles(titles, { locale } = {}) {
+    return [...titles].sort(compareTitles(locale));
+}
+
+/**
+ * @typedef {object} Author
+ * @property {string} name
+ * @property {string|null} key      e.g. "/authors/OL7436813A"
+ */
+
+/**
+ * @typedef {object} Covers
+ * @property {string} small
+ * @property {string} medium
+ * @property {string} large
+ */
+
+/**
+ * @typedef {object} Availability
+ * @property {string} status        Open Library's status, or "unknown" when the work has none
+ * @property {boolean} available_to_borrow
+ * @property {boolean} available_to_browse
+ */
+
+/**
+ * Every field is always present; missing data becomes null, 0, false or an empty array.
+ *
+ * @typedef {object} Work
+ * @property {string|null} key       e.g. "/works/OL16520144W"
+ * @property {string} title
+ * @property {Author[]} authors
+ * @property {number|null} first_publish_year
+ * @property {number|null} cover_id
+ * @property {Covers|null} covers    null when there is no cover_id
+ * @property {number} edition_count
+ * @property {string[]} subjects
+ * @property {Availability} availability
+ */
+
+export function coverUrls(coverId) {
+    if (coverId === null || coverId === undefined) {
+        return null;
+    }
+
+    const url = (size) => `${COVERS_BASE_URL}/b/id/${coverId}-${size}.jpg`;
+    return { small: url('S'), medium: url('M'), large: url('L') };
+}
+
+function asString(value, fallback = null) {
+    return typeof value === 'string' ? value : fallback;
+}
+
+function asNumber(value, fallback = null) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+function normalizeAuthors(authors) {
+    if (!Array.isArray(authors)) {
+        return [];
+    }
+
+    return authors
+        .filter(author => author && typeof author === 'object')
+        .map(author => ({ name: asString(author.name, ''), key: asString(author.key) }));
+}
+
+function normalizeAvailability(availability = {}) {
+    return {
+        status: asString(availability?.status, 'unknown'),
+        available_to_borrow: availability?.available_to_borrow === true,
+        available_to_browse: availability?.available_to_browse === true
+    };
+}
+
+/**
+ * Maps one entry of a subject payload's `works` array onto the Work shape.
+ *
+ * @param {object} work
+ * @returns {Work}
+ */
+export function normalizeWork(work = {}) {
+    const coverId = asNumber(work.cover_id);
+
+    return {
+        key: asString(work.key),
+        title: asString(work.title, ''),
+        authors: normalizeAuthors(work.authors),
+        first_publish_year: asNumber(work.first_publish_year),
+        cover_id: coverId,
+        covers: coverUrls(coverId),
+        edition_count: asNumber(work.edition_count, 0),
+        subjects: Array.isArray(work.subject) ? work.subject.filter(subject => typeof subject === 'string') : [],
+        availability: normalizeAvailability(work.availability)
+    };
+}
+
+// Search results spell availability as a single ebook_access value
+const EBOOK_ACCESS = {
+    public: { status: 'open', available_to_borrow: false, available_to_browse: true },
+    borrowable: { status: 'borrow_available', available_to_borrow: true, available_to_browse: false }
+};
+
+/**
+ * Maps one /search.json doc onto the same Work shape normalizeWork produces.
+ *
+ * @param {object} doc
+ * @returns {Work}
+ */
+export function normalizeSearchDoc(doc = {}) {
+    const names = Array.isArray(doc.author_name) ? doc.author_name : [];
+    const keys = Array.isArray(doc.author_key) ? doc.author_key : [];
+
+    return normalizeWork({
+        key: doc.key,
+        title: doc.title,
+        authors: names.map((name, index) => ({ name, key: keys[index] ? `/authors/${keys[index]}` : undefined })),
+        first_publish_year: doc.first_publish_year,
+        cover_id: doc.cover_i,
+        edition_count: doc.edition_count,
+        subject: doc.subject,
+        availability: EBOOK_ACCESS[doc.ebook_access] ?? { status: doc.ebook_access }
+    });
+}
+
+/**
+ * @param {object} data   a subject payload, as returned by getBooksBySubject
+ * @param {{ mode?: 'strict' | 'lenient' }} [options]
+ * @returns {Work[]}
+ */
+export function pluckWorks(data, { mode = 'lenient' } = {}) {
+    if (!data.works || !data.works.length) {
+        return [];
+    }
+
+    return validateWorks(data.works, { mode }).works.map(normalizeWork);
+}
+
+/**
+ * @typedef {Author & { details: object|null }} EnrichedAuthor
+ */
+
+/**
+ * A Work with the raw /works/{key}.json and /authors/{key}.json records attached;
+ * details is null when Open Library has no record for the key.
+ *
+ * @typedef {object} EnrichedWork
+ * @property {object|null} details
+ * @property {string|null} description
+ * @property {EnrichedAuthor[]} authors
+ */
+
+// Open Library text fields are either a plain string or { type: '/type/text', value }
+export function textValue(field) {
+    if (typeof field === 'string') {
+        return field;
+    }
+
+    return typeof field?.value === 'string' ? field.value : null;
+}
+
+/**
+ * @param {Work} work
+ * @param {object|null} details           the /works/{key}.json record
+ * @param {Map<string, object|null>} authorDetails   /authors/{key}.json records by author key
+ * @returns {Work & EnrichedWork}
+ */
+export function attachDetails(work, details, authorDetails) {
+    return {
+        ...work,
+        details,
+        description: textValue(details?.description),
+        authors: work.authors.map(author => ({ ...author, details: authorDetails.get(author.key) ?? null }))
+    };
 }
@@ -0,0 +1,118 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_FIXTURES_DIR } from './fakeServer.js';
+import { normalizeTitle, normalizeWork, pluckTitles, pluckWorks, titleKey } from './helper.js';
+
+const loadSubject = async (name) => JSON.parse(await readFile(path.join(DEFAULT_FIXTURES_DIR, 'subjects', `${name}.json`), 'utf8'));
+
+describe('pluckTitles', () => {
+    test('returns an empty array when there are no works', () => {
+        expect(pluckTitles({})).toEqual([]);
+        expect(pluckTitles({ works: [] })).toEqual([]);
+    });
+});
+
+describe('normalizeWork', () => {
+    test('maps a subject work onto the Work shape', async () => {
+        const { works } = await loadSubject('javascript');
+
+        expect(normalizeWork(works[0])).toEqual({
+            key: '/works/OL16520144W',
+            title: 'Eloquent JavaScript',
+            authors: [{ name: 'Marijn Haverbeke', key: '/authors/OL7436813A' }],
+            first_publish_year: 2011,
+            cover_id: 8331891,
+            covers: {
+                small: 'https://covers.openlibrary.org/b/id/8331891-S.jpg',
+                medium: 'https://covers.openlibrary.org/b/id/8331891-M.jpg',
+                large: 'https://covers.openlibrary.org/b/id/8331891-L.jpg'
+            },
+            edition_count: 6,
+            subjects: ['JavaScript (Computer program language)', 'Web programming'],
+            availability: { status: 'borrow_available', available_to_borrow: true, available_to_browse: false }
+        });
+    });
+
+    test('fills in defaults for missing fields', () => {
+        expect(normalizeWork({ title: 'Untitled draft', authors: [null, { name: 'Anon' }] })).toEqual({
+            key: null,
+            title: 'Untitled draft',
+            authors: [{ name: 'Anon', key: null }],
+            first_publish_year: null,
+            cover_id: null,
+            covers: null,
+            edition_count: 0,
+            subjects: [],
+            availability: { status: 'unknown', available_to_borrow: false, available_to_browse: false }
+        });
+    });
+});
+
+describe('pluckWorks', () => {
+    test('normalizes every work in a subject payload', async () => {
+        const works = pluckWorks(await loadSubject('java'));
+
+        expect(works.map(work => work.title)).toEqual(['Head First Java', 'Effective Java']);
+        expect(pluckWorks({})).toEqual([]);
+    });
+});
+
+describe('title utilities', () => {
+    const data = {
+        works: [
+            { title: 'The  Hobbit' },
+            { title: 'hobbit: or There and Back Again' },
+            { title: 'A Wizard of Earthsea' },
+            { title: 'Ｄｕｎｅ' },
+            { title: '  Dune ' },
+            { title: 'Émile' },
+            { title: 'Zen and the Art of Motorcycle Maintenance' },
+            { title: 'Book 10' },
+            { title: 'Book 9' }
+        ]
+    };
+
+    test('normalizeTitle applies NFKC, trims and collapses whitespace', () => {
+        expect(normalizeTitle('  Ｄｕｎｅ\t Messiah ')).toBe('Dune Messiah');
+    });
+
+    test('titleKey ignores case, punctuation and leading articles, and subtitles when asked', () => {
+        expect(titleKey('The Hobbit')).not.toBe(titleKey('hobbit: or There and Back Again'));
+        expect(titleKey('The Hobbit', { ignoreSubtitle: true })).toBe(titleKey('hobbit: or There and Back Again', { ignoreSubtitle: true }));
+        expect(titleKey("You Don't Know JS")).toBe('you dont know js');
+        expect(titleKey('The Hobbit', { ignoreArticle: false })).toBe('the hobbit');
+        expect(titleKey('Dune - Deluxe Edition')).toBe('dune deluxe edition');
+    });
+
+    test('options are off by default', () => {
+        expect(pluckTitles(data)).toEqual(data.works.map(work => work.title));
+    });
+
+    test('each option can be switched on alone', () => {
+        expect(pluckTitles(data, { normalize: true })).toContain('The Hobbit');
+        expect(pluckTitles(data, { dedupe: true })).toHaveLength(8);
+        expect(pluckTitles(data, { sort: true, locale: 'en' }).slice(0, 4)).toEqual(['Book 9', 'Book 10', 'Ｄｕｎｅ', '  Dune ']);
+    });
+
+    test('all options together', () => {
+        expect(pluckTitles(data, { normalize: true, dedupe: true, ignoreSubtitle: true, sort: true, locale: 'en' })).toEqual([
+            'Book 9',
+            'Book 10',
+            'Dune',
+            'Émile',
+            'The Hobbit',
+            'A Wizard of Earthsea',
+            'Zen and the Art of Motorcycle Maintenance'
+        ]);
+    });
+
+    test('dedupe keeps distinct works that share a main title', async () => {
+        const javascript = await loadSubject('javascript');
+        const series = { works: [{ title: 'Harry Potter - Book One' }, { title: 'Harry Potter - Book Two' }] };
+
+        expect(pluckTitles(javascript, { dedupe: true })).toEqual(expect.arrayContaining(['JavaScript: The Good Parts', 'JavaScript: The Definitive Guide']));
+        expect(pluckTitles(javascript, { dedupe: true })).toEqual(pluckTitles(javascript));
+        expect(pluckTitles(series, { dedupe: true })).toEqual(['Harry Potter - Book One', 'Harry Potter - Book Two']);
+        expect(pluckTitles(series, { dedupe: true, ignoreSubtitle: true })).toEqual(['Harry Potter - Book One']);
+    });
+});
@@ -1,6 +1,9 @@
-import { getTitlesBySubject } from './books.js';
+#!/usr/bin/env node
+import { run } from './cli.js';
 
 (async () => {
-    const titles = await getTitlesBySubject('javascript');
-    console.log(titles);
-})();
\ No newline at end of file
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    process.exitCode = await run(process.argv.slice(2), { signal: controller.signal });
+})();
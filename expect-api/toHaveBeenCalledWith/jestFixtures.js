@@ -0,0 +1,23 @@
+import { createRecordingTransport, createReplayTransport } from './recorder.js';
+
+export const FIXTURES_ENV = 'BOOKS_FIXTURES';
+
+/*
+    For use in Jest tests:
+
+        const client = createBooksClient({ transport: fixtureTransport({ dir: path.join(__dirname, '__recordings__') }) });
+
+    BOOKS_FIXTURES=record npm test  -> real requests, responses saved under dir
+    npm test                        -> replays the saved responses, offline
+*/
+export function fixtureTransport({ dir, redact, transport, mode = process.env[FIXTURES_ENV] || 'replay' } = {}) {
+    if (mode === 'record') {
+        return createRecordingTransport({ dir, redact, transport });
+    }
+
+    if (mode === 'replay') {
+        return createReplayTransport({ dir });
+    }
+
+    throw new Error(`${FIXTURES_ENV} must be "record" or "replay", got "${mode}"`);
+}
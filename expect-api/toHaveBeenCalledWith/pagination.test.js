@@ -0,0 +1,74 @@
+import { createBooksClient } from './books.js';
+import { startFakeServer } from './fakeServer.js';
+
+describe('subject pagination', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false });
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(() => {
+        server.requests.length = 0;
+    });
+
+    test('limit and offset map onto the query string', async () => {
+        const titles = await client.getTitlesBySubject('javascript', { limit: 2, offset: 1 });
+
+        expect(titles).toEqual(['JavaScript: The Good Parts', 'JavaScript: The Definitive Guide']);
+        expect(server.requests).toEqual([{ method: 'GET', url: '/subjects/javascript.json?limit=2&offset=1' }]);
+    });
+
+    test('iterateWorksBySubject walks every page until work_count', async () => {
+        const keys = [];
+
+        for await (const work of client.iterateWorksBySubject('javascript', { pageSize: 2 })) {
+            keys.push(work.key);
+        }
+
+        expect(keys).toHaveLength(5);
+        expect(new Set(keys).size).toBe(5);
+        expect(server.requests.map(({ url }) => url)).toEqual([
+            '/subjects/javascript.json?limit=2&offset=0',
+            '/subjects/javascript.json?limit=2&offset=2',
+            '/subjects/javascript.json?limit=2&offset=4'
+        ]);
+    });
+
+    test('maxItems caps the total and shrinks the last page', async () => {
+        const titles = [];
+
+        for await (const work of client.iterateWorksBySubject('javascript', { pageSize: 2, maxItems: 3 })) {
+            titles.push(work.title);
+        }
+
+        expect(titles).toEqual(['Eloquent JavaScript', 'JavaScript: The Good Parts', 'JavaScript: The Definitive Guide']);
+        expect(server.requests.map(({ url }) => url)).toEqual([
+            '/subjects/javascript.json?limit=2&offset=0',
+            '/subjects/javascript.json?limit=1&offset=2'
+        ]);
+    });
+
+    test('a subject without work_count is walked until an empty page', async () => {
+        const works = ['A', 'B', 'C'].map(title => ({ key: `/works/${title}`, title, authors: [] }));
+        const transport = {
+            get: jest.fn(async (url) => {
+                const params = new URL(url).searchParams;
+                const offset = Number(params.get('offset'));
+                return { status: 200, headers: {}, data: { works: works.slice(offset, offset + Number(params.get('limit'))) } };
+            })
+        };
+        const titles = [];
+
+        for await (const work of createBooksClient({ transport, rateLimit: false }).iterateWorksBySubject('letters', { pageSize: 2 })) {
+            titles.push(work.title);
+        }
+
+        expect(titles).toEqual(['A', 'B', 'C']);
+        expect(transport.get).toHaveBeenCalledTimes(3);
+    });
+});
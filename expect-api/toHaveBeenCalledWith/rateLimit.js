@@ -0,0 +1,101 @@
+import { toAbortError, throwIfAborted } from './abort.js';
+
+// Open Library asks anonymous clients to stay at a few requests per second
+export const DEFAULT_RATE_LIMIT = { requestsPerSecond: 3, burst: 10 };
+
+/**
+ * Token bucket: holds up to `burst` tokens and refills at `requestsPerSecond`.
+ * acquire() resolves once a token is free; waiters are served first come, first served.
+ * Refills are scheduled with setTimeout and measured with now(), so Jest fake timers drive both.
+ */
+export function createRateLimiter({
+    requestsPerSecond = DEFAULT_RATE_LIMIT.requestsPerSecond,
+    burst = DEFAULT_RATE_LIMIT.burst,
+    now = () => Date.now(),
+    onQueueChange = () => {}
+} = {}) {
+    if (!(requestsPerSecond > 0) || !(burst >= 1)) {
+        throw new RangeError('requestsPerSecond must be positive and burst at least 1');
+    }
+
+    const queue = [];
+    const stats = { granted: 0, waited: 0, totalWaitMs: 0, maxQueueDepth: 0 };
+    let tokens = burst;
+    let refilledAt = now();
+    let timer = null;
+
+    function refill() {
+        const at = now();
+        tokens = Math.min(burst, tokens + ((at - refilledAt) * requestsPerSecond) / 1000);
+        refilledAt = at;
+    }
+
+    function queueChanged() {
+        stats.maxQueueDepth = Math.max(stats.maxQueueDepth, queue.length);
+        onQueueChange(queue.length);
+    }
+
+    function drain() {
+        refill();
+
+        while (queue.length && tokens >= 1) {
+            const waiter = queue.shift();
+            tokens--;
+            stats.granted++;
+            stats.waited++;
+            stats.totalWaitMs += now() - waiter.enqueuedAt;
+            waiter.release();
+            queueChanged();
+        }
+
+        if (queue.length && !timer) {
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, Math.ceil(((1 - tokens) * 1000) / requestsPerSecond));
+        }
+    }
+
+    return {
+        acquire(signal) {
+            throwIfAborted(signal);
+            refill();
+
+            if (!queue.length && tokens >= 1) {
+                tokens--;
+                stats.granted++;
+                return Promise.resolve();
+            }
+
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    queue.splice(queue.indexOf(waiter), 1);
+                    queueChanged();
+                    reject(toAbortError(signal.reason));
+                };
+                const waiter = {
+                    enqueuedAt: now(),
+                    release() {
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve();
+                    }
+                };
+
+                signal?.addEventListener('abort', onAbort, { once: true });
+                queue.push(waiter);
+                queueChanged();
+                drain();
+            });
+        },
+
+        get queueDepth() {
+            return queue.length;
+        },
+
+        // granted counts every token handed out; waited/totalWaitMs only the callers that had to queue
+        metrics() {
+            refill();
+            return { ...stats, queueDepth: queue.length, tokens: Math.floor(tokens) };
+        }
+    };
+}
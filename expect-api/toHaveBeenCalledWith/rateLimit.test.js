@@ -0,0 +1,101 @@
+import { createBooksClient } from './books.js';
+import { AbortError } from './errors.js';
+import { createRateLimiter } from './rateLimit.js';
+
+describe('createRateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('lets a burst through, then paces callers at the refill rate', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 2 });
+        const granted = [];
+
+        for (let i = 0; i < 5; i++) {
+            limiter.acquire().then(() => granted.push(i));
+        }
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(granted).toEqual([0, 1]);
+        expect(limiter.queueDepth).toBe(3);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(granted).toEqual([0, 1, 2]);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(granted).toEqual([0, 1, 2, 3, 4]);
+        expect(limiter.metrics()).toMatchObject({ granted: 5, waited: 3, maxQueueDepth: 3, queueDepth: 0, totalWaitMs: 500 + 1000 + 1500 });
+    });
+
+    test('reports queue depth changes', async () => {
+        const onQueueChange = jest.fn();
+        const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1, onQueueChange });
+
+        limiter.acquire();
+        limiter.acquire();
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(onQueueChange.mock.calls).toEqual([[1], [0]]);
+    });
+
+    test('an aborted waiter leaves the queue', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1 });
+        const controller = new AbortController();
+
+        await limiter.acquire();
+        const waiting = limiter.acquire(controller.signal);
+        controller.abort();
+
+        await expect(waiting).rejects.toBeInstanceOf(AbortError);
+        expect(limiter.queueDepth).toBe(0);
+    });
+
+    test('rejects nonsensical settings', () => {
+        expect(() => createRateLimiter({ requestsPerSecond: 0 })).toThrow(RangeError);
+    });
+});
+
+describe('createBooksClient rate limiting', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('every request from a client goes through its limiter', async () => {
+        const transport = { get: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: { works: [{ title: 'Dune' }] } }) };
+        const client = createBooksClient({ transport, rateLimit: { requestsPerSecond: 1, burst: 1 } });
+
+        const all = Promise.all(['a', 'b', 'c'].map(subject => client.getTitlesBySubject(subject)));
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        expect(client.limiter.queueDepth).toBe(2);
+
+        await jest.advanceTimersByTimeAsync(2000);
+        await all;
+        expect(transport.get).toHaveBeenCalledTimes(3);
+    });
+
+    test('clients can share one limiter', async () => {
+        const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1 });
+        const transport = { get: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: { works: [{ title: 'Dune' }] } }) };
+        const first = createBooksClient({ transport, rateLimit: limiter });
+        const second = createBooksClient({ transport, rateLimit: limiter });
+
+        first.getTitlesBySubject('a');
+        second.getTitlesBySubject('b');
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        expect(limiter.metrics().queueDepth).toBe(1);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(transport.get).toHaveBeenCalledTimes(2);
+    });
+});
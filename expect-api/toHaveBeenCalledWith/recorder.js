@@ -0,0 +1,126 @@
+import axios from 'axios';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { UnrecordedRequestError } from './errors.js';
+
+// null rather than a marker string, so redacted recordings still pass validate.js' nullable fields
+export const REDACTED = null;
+
+// Only headers the client actually reads are kept, the rest change on every request
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+/*
+    Recordings are keyed by method plus path and query; the origin is ignored so a recording
+    made against openlibrary.org replays for any baseUrl. One JSON file per request:
+        { method, url, status, headers, data }
+*/
+export function requestPath(url) {
+    const { pathname, search } = new URL(url, 'http://localhost');
+    return `${pathname}${search}`;
+}
+
+export function recordingKey(method, url) {
+    return `${method.toUpperCase()} ${requestPath(url)}`;
+}
+
+export function recordingFile(dir, method, url) {
+    const key = recordingKey(method, url);
+    const slug = key.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '').slice(0, 80);
+    const hash = createHash('sha1').update(key).digest('hex').slice(0, 10);
+
+    return path.join(dir, `${slug}-${hash}.json`);
+}
+
+function redactPath(target, segments) {
+    if (!target || typeof target !== 'object' || !segments.length) {
+        return;
+    }
+
+    const [segment, ...rest] = segments;
+    const keys = segment === '*' ? Object.keys(target) : [segment];
+
+    for (const key of keys) {
+        if (!(key in target)) {
+            continue;
+        }
+
+        if (rest.length) {
+            redactPath(target[key], rest);
+        } else {
+            target[key] = REDACTED;
+        }
+    }
+}
+
+/**
+ * Nulls out volatile fields before a recording is written.
+ * redact is either a list of dot paths into the recording ('*' matches any key or index),
+ * e.g. ['data.works.*.availability', 'headers.date'], or a function returning the new recording.
+ */
+export function redactRecording(recording, redact) {
+    if (typeof redact === 'function') {
+        return redact(recording);
+    }
+
+    const copy = structuredClone(recording);
+    (redact ?? []).forEach(dotPath => redactPath(copy, dotPath.split('.')));
+    return copy;
+}
+
+function pickHeaders(headers = {}) {
+    return Object.fromEntries(KEPT_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, String(headers[name])]));
+}
+
+// Passes requests through to `transport` and saves every response, errors with a response included
+export function createRecordingTransport({ dir, transport = axios, redact } = {}) {
+    async function save(url, { status, headers, data }) {
+        const recording = redactRecording({ method: 'GET', url: requestPath(url), status, headers: pickHeaders(headers), data }, redact);
+        const file = recordingFile(dir, 'GET', url);
+
+        await mkdir(dir, { recursive: true });
+        await writeFile(file, JSON.stringify(recording, null, 2) + '\n');
+    }
+
+    return {
+        async get(url, config) {
+            let response;
+
+            try {
+                response = await (config ? transport.get(url, config) : transport.get(url));
+            } catch(err) {
+                if (err.response) {
+                    await save(url, err.response);
+                }
+                throw err;
+            }
+
+            await save(url, response);
+            return response;
+        }
+    };
+}
+
+// Serves recordings back without touching the network; anything unrecorded rejects with UnrecordedRequestError
+export function createReplayTransport({ dir } = {}) {
+    return {
+        async get(url) {
+            const file = recordingFile(dir, 'GET', url);
+            let recording;
+
+            try {
+                recording = JSON.parse(await readFile(file, 'utf8'));
+            } catch(err) {
+                if (err.code === 'ENOENT') {
+                    throw new UnrecordedRequestError(
+                        `No recording for ${recordingKey('GET', url)} in ${dir}. Run the tests with BOOKS_FIXTURES=record to create it.`,
+                        { url }
+                    );
+                }
+                throw err;
+            }
+
+            return { status: recording.status, headers: recording.headers, data: recording.data };
+        }
+    };
+}
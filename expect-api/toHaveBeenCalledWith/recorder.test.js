@@ -0,0 +1,82 @@
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createBooksClient } from './books.js';
+import { NotFoundError, UnrecordedRequestError } from './errors.js';
+import { startFakeServer } from './fakeServer.js';
+import { fixtureTransport } from './jestFixtures.js';
+import { recordingKey, REDACTED, redactRecording } from './recorder.js';
+
+describe('recordingKey', () => {
+    test('ignores the origin', () => {
+        expect(recordingKey('get', 'https://openlibrary.org/subjects/java.json?limit=2')).toBe('GET /subjects/java.json?limit=2');
+        expect(recordingKey('GET', 'http://127.0.0.1:1234/subjects/java.json?limit=2')).toBe('GET /subjects/java.json?limit=2');
+    });
+});
+
+describe('redactRecording', () => {
+    test('blanks dot paths with wildcards', () => {
+        const recording = { data: { works: [{ title: 'A', availability: { status: 'open' } }, { title: 'B' }] } };
+
+        expect(redactRecording(recording, ['data.works.*.availability'])).toEqual({
+            data: { works: [{ title: 'A', availability: REDACTED }, { title: 'B' }] }
+        });
+        expect(recording.data.works[0].availability).toEqual({ status: 'open' });
+    });
+});
+
+describe('record and replay', () => {
+    let server;
+    let dir;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        dir = await mkdtemp(path.join(os.tmpdir(), 'books-recordings-'));
+    });
+
+    afterAll(async () => {
+        await server.close();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('record mode saves responses, including failures', async () => {
+        const transport = fixtureTransport({ dir, mode: 'record', redact: ['data.works.*.availability'] });
+        const client = createBooksClient({ baseUrl: server.baseUrl, transport, rateLimit: false, retry: false });
+
+        await client.getTitlesBySubject('javascript', { limit: 2 });
+        await expect(client.getWork('OL0W')).rejects.toBeInstanceOf(NotFoundError);
+
+        const files = await readdir(dir);
+        expect(files).toHaveLength(2);
+
+        const recordings = await Promise.all(files.map(async (file) => JSON.parse(await readFile(path.join(dir, file), 'utf8'))));
+        expect(recordings).toContainEqual(expect.objectContaining({ method: 'GET', url: '/works/OL0W.json', status: 404 }));
+        expect(recordings).toContainEqual(expect.objectContaining({
+            url: '/subjects/javascript.json?limit=2',
+            status: 200,
+            headers: { 'content-type': 'application/json' },
+            data: expect.objectContaining({ works: [expect.objectContaining({ availability: REDACTED }), expect.anything()] })
+        }));
+    });
+
+    test('replay mode serves the recordings offline, whatever the baseUrl', async () => {
+        const client = createBooksClient({ transport: fixtureTransport({ dir, mode: 'replay' }), rateLimit: false });
+
+        await expect(client.getTitlesBySubject('javascript', { limit: 2 })).resolves.toEqual(['Eloquent JavaScript', 'JavaScript: The Good Parts']);
+        await expect(client.getWork('/works/OL0W')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test('replay mode fails loudly on unrecorded requests, without retrying', async () => {
+        const transport = fixtureTransport({ dir, mode: 'replay' });
+        const client = createBooksClient({ transport, rateLimit: false });
+
+        await expect(client.getTitlesBySubject('java')).rejects.toThrow(UnrecordedRequestError);
+        await expect(client.getTitlesBySubject('java')).rejects.toThrow('No recording for GET /subjects/java.json');
+    });
+
+    test('the mode comes from BOOKS_FIXTURES', () => {
+        process.env.BOOKS_FIXTURES = 'live';
+        expect(() => fixtureTransport({ dir })).toThrow('BOOKS_FIXTURES must be "record" or "replay", got "live"');
+        delete process.env.BOOKS_FIXTURES;
+    });
+});
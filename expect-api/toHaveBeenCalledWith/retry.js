@@ -0,0 +1,68 @@
+import { raceAbort, throwIfAborted } from './abort.js';
+import { HttpError, NetworkError } from './errors.js';
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 250,
+    maxDelayMs: 10000,
+    // Fraction of each delay that is randomised, 0 disables jitter
+    jitter: 0.5,
+    retryStatuses: [429, 500, 502, 503, 504],
+    retryMethods: ['GET', 'HEAD', 'OPTIONS'],
+    random: Math.random,
+    onRetry: () => {}
+};
+
+export function sleep(ms, signal) {
+    let timer;
+    const wait = new Promise((resolve) => {
+        timer = setTimeout(resolve, ms);
+    });
+
+    return raceAbort(wait, signal).finally(() => clearTimeout(timer));
+}
+
+export function isRetryable(err, policy) {
+    if (err instanceof NetworkError) {
+        return true;
+    }
+
+    return err instanceof HttpError && policy.retryStatuses.includes(err.status);
+}
+
+export function backoffDelay(attempt, err, policy) {
+    if (err && typeof err.retryAfterMs === 'number') {
+        return err.retryAfterMs;
+    }
+
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential * (1 - policy.jitter * policy.random()));
+}
+
+// Calls fn until it resolves, a non-retryable error is thrown or maxAttempts is reached
+export async function withRetry(fn, policy, { method = 'GET', signal } = {}) {
+    const resolved = { ...DEFAULT_RETRY_POLICY, ...policy };
+    const idempotent = resolved.retryMethods.includes(method.toUpperCase());
+
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(signal);
+
+        try {
+            return await fn(attempt);
+        } catch(err) {
+            if (!idempotent || attempt >= resolved.maxAttempts || !isRetryable(err, resolved)) {
+                throw err;
+            }
+
+            const delayMs = backoffDelay(attempt, err, resolved);
+
+            // Only Retry-After can exceed maxDelayMs; rather than sleep that long, hand the error (and its retryAfterMs) back
+            if (delayMs > resolved.maxDelayMs) {
+                throw err;
+            }
+
+            resolved.onRetry({ attempt, delayMs, error: err });
+            await sleep(delayMs, signal);
+        }
+    }
+}
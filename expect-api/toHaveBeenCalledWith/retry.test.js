@@ -0,0 +1,143 @@
+import { createBooksClient } from './books.js';
+import { NetworkError, RateLimitError, HttpError } from './errors.js';
+import { backoffDelay, DEFAULT_RETRY_POLICY, withRetry } from './retry.js';
+
+/*
+    Backoff waits go through setTimeout, so jest.useFakeTimers() lets these tests
+    walk through the whole schedule with jest.advanceTimersByTimeAsync() instead of sleeping.
+*/
+
+const rateLimited = (retryAfter) => Object.assign(new Error('429'), {
+    response: { status: 429, headers: retryAfter ? { 'retry-after': retryAfter } : {} }
+});
+const serverError = (status = 503) => Object.assign(new Error(String(status)), { response: { status, headers: {} } });
+const ok = (data) => ({ status: 200, headers: {}, data });
+
+describe('backoffDelay', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 100, maxDelayMs: 1000, jitter: 0.5 };
+
+    test('doubles per attempt and caps at maxDelayMs', () => {
+        const noJitter = { ...policy, jitter: 0 };
+
+        expect([1, 2, 3, 4, 5].map((attempt) => backoffDelay(attempt, null, noJitter))).toEqual([100, 200, 400, 800, 1000]);
+    });
+
+    test('jitter shaves a random fraction off the delay', () => {
+        expect(backoffDelay(3, null, { ...policy, random: () => 1 })).toBe(200);
+        expect(backoffDelay(3, null, { ...policy, random: () => 0 })).toBe(400);
+    });
+
+    test('Retry-After wins over the exponential schedule', () => {
+        expect(backoffDelay(1, new RateLimitError('429', { status: 429, headers: { 'retry-after': '7' } }), policy)).toBe(7000);
+    });
+});
+
+describe('createBooksClient retries', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('retries 5xx responses on the backoff schedule', async () => {
+        const transport = {
+            get: jest.fn()
+                .mockRejectedValueOnce(serverError(503))
+                .mockRejectedValueOnce(serverError(502))
+                .mockResolvedValue(ok({ works: [{ title: 'Dune' }] }))
+        };
+        const onRetry = jest.fn();
+        const client = createBooksClient({
+            transport,
+            retry: { maxAttempts: 3, baseDelayMs: 100, jitter: 0, onRetry }
+        });
+
+        const titles = client.getTitlesBySubject('scifi');
+
+        await jest.advanceTimersByTimeAsync(99);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(transport.get).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(200);
+
+        await expect(titles).resolves.toEqual(['Dune']);
+        expect(transport.get).toHaveBeenCalledTimes(3);
+        expect(onRetry.mock.calls.map(([{ delayMs }]) => delayMs)).toEqual([100, 200]);
+    });
+
+    test('waits for Retry-After on a 429', async () => {
+        const transport = {
+            get: jest.fn()
+                .mockRejectedValueOnce(rateLimited('2'))
+                .mockResolvedValue(ok({ works: [{ title: 'Dune' }] }))
+        };
+        const client = createBooksClient({ transport, retry: { baseDelayMs: 100 } });
+
+        const titles = client.getTitlesBySubject('scifi');
+
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+
+        await expect(titles).resolves.toEqual(['Dune']);
+    });
+
+    test('waits for Retry-After on a 503', async () => {
+        const unavailable = Object.assign(new Error('503'), { response: { status: 503, headers: { 'retry-after': '3' } } });
+        const transport = {
+            get: jest.fn()
+                .mockRejectedValueOnce(unavailable)
+                .mockResolvedValue(ok({ works: [{ title: 'Dune' }] }))
+        };
+        const onRetry = jest.fn();
+        const client = createBooksClient({ transport, retry: { baseDelayMs: 100, onRetry } });
+
+        const titles = client.getTitlesBySubject('scifi');
+
+        await jest.advanceTimersByTimeAsync(2999);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+
+        await expect(titles).resolves.toEqual(['Dune']);
+        expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ delayMs: 3000, error: expect.objectContaining({ status: 503 }) }));
+    });
+
+    test('gives up at once when Retry-After is longer than maxDelayMs', async () => {
+        const transport = { get: jest.fn().mockRejectedValue(rateLimited('86400')) };
+        const client = createBooksClient({ transport, retry: { maxDelayMs: 10000 } });
+
+        await expect(client.getTitlesBySubject('scifi')).rejects.toMatchObject({ name: 'RateLimitError', retryAfterMs: 86400000 });
+        expect(transport.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('gives up after maxAttempts with the last error', async () => {
+        const transport = { get: jest.fn().mockRejectedValue(new Error('socket hang up')) };
+        const client = createBooksClient({ transport, retry: { maxAttempts: 2, baseDelayMs: 10, jitter: 0 } });
+
+        const titles = client.getTitlesBySubject('scifi');
+        const assertion = expect(titles).rejects.toBeInstanceOf(NetworkError);
+        await jest.advanceTimersByTimeAsync(10);
+
+        await assertion;
+        expect(transport.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry client errors', async () => {
+        const transport = { get: jest.fn().mockRejectedValue(serverError(400)) };
+        const client = createBooksClient({ transport });
+
+        await expect(client.getTitlesBySubject('scifi')).rejects.toBeInstanceOf(HttpError);
+        expect(transport.get).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('withRetry', () => {
+    test('never retries non-idempotent methods', async () => {
+        const fn = jest.fn().mockRejectedValue(new NetworkError('reset'));
+
+        await expect(withRetry(fn, { baseDelayMs: 0 }, { method: 'POST' })).rejects.toBeInstanceOf(NetworkError);
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+});
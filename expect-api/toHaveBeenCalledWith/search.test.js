@@ -0,0 +1,61 @@
+import { createBooksClient } from './books.js';
+import { startFakeServer } from './fakeServer.js';
+import { normalizeSearchDoc, pluckWorks } from './helper.js';
+
+describe('normalizeSearchDoc', () => {
+    test('produces the same shape as normalizeWork', () => {
+        expect(normalizeSearchDoc({
+            key: '/works/OL5734930W',
+            title: 'Head First Java',
+            author_name: ['Kathy Sierra', 'Bert Bates'],
+            author_key: ['OL1394865A', 'OL1394866A'],
+            cover_i: 388761,
+            ebook_access: 'public'
+        })).toEqual({
+            key: '/works/OL5734930W',
+            title: 'Head First Java',
+            authors: [
+                { name: 'Kathy Sierra', key: '/authors/OL1394865A' },
+                { name: 'Bert Bates', key: '/authors/OL1394866A' }
+            ],
+            first_publish_year: null,
+            cover_id: 388761,
+            covers: expect.objectContaining({ small: 'https://covers.openlibrary.org/b/id/388761-S.jpg' }),
+            edition_count: 0,
+            subjects: [],
+            availability: { status: 'open', available_to_borrow: false, available_to_browse: true }
+        });
+    });
+});
+
+describe('searchBooks', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        client = createBooksClient({ baseUrl: server.baseUrl, retry: false });
+    });
+
+    afterAll(() => server.close());
+
+    test('maps the query onto /search.json parameters', async () => {
+        const results = await client.searchBooks({ q: 'javascript', sort: 'new', limit: 2, page: 1 });
+
+        expect(server.requests.at(-1).url).toBe('/search.json?q=javascript&sort=new&limit=2&page=1');
+        expect(results.total).toBe(3);
+        expect(results.works.map(work => work.title)).toEqual(['Eloquent JavaScript', 'JavaScript: The Good Parts']);
+    });
+
+    test('search and subject browsing yield interchangeable records', async () => {
+        const [fromSearch] = (await client.searchBooks({ isbn: '978-0-13-468599-1' })).works;
+        const fromSubject = pluckWorks(await client.getBooksBySubject('java')).find(work => work.key === fromSearch.key);
+
+        expect(Object.keys(fromSearch)).toEqual(Object.keys(fromSubject));
+        expect(fromSearch).toMatchObject({ title: fromSubject.title, authors: fromSubject.authors, cover_id: fromSubject.cover_id });
+    });
+
+    test('requires at least one search term', async () => {
+        await expect(client.searchBooks({ sort: 'new' })).rejects.toThrow(TypeError);
+    });
+});
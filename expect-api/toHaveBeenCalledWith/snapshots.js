@@ -0,0 +1,133 @@
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { workIdentity } from './aggregate.js';
+import { normalizeSubject } from './books.js';
+import { normalizeWork } from './helper.js';
+
+/*
+    A snapshot is { subject, takenAt, works } where works are helper.js Work records.
+    The store keeps one JSON file per snapshot: <dir>/<subject>/<takenAt>.json
+*/
+
+// Fields compared between snapshots, projected so that arrays and objects compare by value
+export const TRACKED_FIELDS = {
+    title: (work) => work.title,
+    authors: (work) => work.authors.map(author => author.name).join('; '),
+    first_publish_year: (work) => work.first_publish_year,
+    cover_id: (work) => work.cover_id,
+    edition_count: (work) => work.edition_count,
+    availability: (work) => work.availability.status
+};
+
+const fileStamp = (takenAt) => takenAt.replace(/:/g, '-');
+const stampTakenAt = (file) => path.basename(file, '.json').replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3');
+
+export function createSnapshotStore({ dir, now = () => new Date() }) {
+    const subjectDir = (subject) => path.join(dir, encodeURIComponent(normalizeSubject(subject)));
+
+    // takenAt is read back from the file names, so listing never opens a snapshot
+    async function list(subject) {
+        try {
+            const files = await readdir(subjectDir(subject));
+
+            return files.filter(file => file.endsWith('.json')).map(stampTakenAt).sort();
+        } catch(err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+    }
+
+    return {
+        list,
+
+        async save(subject, works) {
+            const snapshot = { subject: normalizeSubject(subject), takenAt: now().toISOString(), works };
+
+            await mkdir(subjectDir(subject), { recursive: true });
+            await writeFile(path.join(subjectDir(subject), `${fileStamp(snapshot.takenAt)}.json`), JSON.stringify(snapshot, null, 2) + '\n');
+            return snapshot;
+        },
+
+        // takenAt is an ISO timestamp from list(), or 'latest'
+        async load(subject, takenAt = 'latest') {
+            const stamp = takenAt === 'latest' ? (await list(subject)).at(-1) : takenAt;
+
+            if (!stamp) {
+                return null;
+            }
+
+            try {
+                return JSON.parse(await readFile(path.join(subjectDir(subject), `${fileStamp(stamp)}.json`), 'utf8'));
+            } catch(err) {
+                if (err.code === 'ENOENT') {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        // The newest snapshot taken at or before date, e.g. "what did this look like last week"
+        async loadAsOf(subject, date) {
+            const cutoff = new Date(date).toISOString();
+            const stamp = (await list(subject)).filter(takenAt => takenAt <= cutoff).at(-1);
+
+            return stamp ? this.load(subject, stamp) : null;
+        }
+    };
+}
+
+// Fetches every work of the subject through the client and saves them as a new snapshot
+export async function takeSnapshot(client, store, subject, { maxItems, signal, timeoutMs } = {}) {
+    const works = [];
+
+    for await (const work of client.iterateWorksBySubject(subject, { maxItems, signal, timeoutMs })) {
+        works.push(normalizeWork(work));
+    }
+
+    return store.save(subject, works);
+}
+
+/**
+ * Compares two snapshots of a subject (from older to newer), matching works by key.
+ * Returns { subject, from, to, added, removed, changed } where changed entries are
+ * { key, title, changes: { [field]: { from, to } } } for the TRACKED_FIELDS that differ.
+ */
+export function diffSubject(subject, fromSnapshot, toSnapshot) {
+    const before = new Map(fromSnapshot.works.map(work => [workIdentity(work), work]));
+    const after = new Map(toSnapshot.works.map(work => [workIdentity(work), work]));
+    const changed = [];
+
+    for (const [id, work] of after) {
+        const previous = before.get(id);
+
+        if (!previous) {
+            continue;
+        }
+
+        const changes = {};
+
+        for (const [field, project] of Object.entries(TRACKED_FIELDS)) {
+            const from = project(previous);
+            const to = project(work);
+
+            if (from !== to) {
+                changes[field] = { from, to };
+            }
+        }
+
+        if (Object.keys(changes).length) {
+            changed.push({ key: work.key, title: work.title, changes });
+        }
+    }
+
+    return {
+        subject: normalizeSubject(subject),
+        from: fromSnapshot.takenAt,
+        to: toSnapshot.takenAt,
+        added: [...after].filter(([id]) => !before.has(id)).map(([, work]) => work),
+        removed: [...before].filter(([id]) => !after.has(id)).map(([, work]) => work),
+        changed
+    };
+}
@@ -0,0 +1,93 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createBooksClient } from './books.js';
+import { startFakeServer } from './fakeServer.js';
+import { normalizeWork } from './helper.js';
+import { createSnapshotStore, diffSubject, takeSnapshot } from './snapshots.js';
+
+const work = (id, fields = {}) => normalizeWork({ key: `/works/${id}`, title: `Work ${id}`, edition_count: 1, ...fields });
+const snapshot = (takenAt, works) => ({ subject: 'java', takenAt, works });
+
+describe('diffSubject', () => {
+    test('reports added, removed and changed works', () => {
+        const from = snapshot('2023-01-01T00:00:00.000Z', [work('OL1W'), work('OL2W'), work('OL3W', { cover_id: 5 })]);
+        const to = snapshot('2023-01-08T00:00:00.000Z', [work('OL2W', { edition_count: 3 }), work('OL3W', { cover_id: 5 }), work('OL4W')]);
+
+        expect(diffSubject('Java', from, to)).toEqual({
+            subject: 'java',
+            from: '2023-01-01T00:00:00.000Z',
+            to: '2023-01-08T00:00:00.000Z',
+            added: [expect.objectContaining({ key: '/works/OL4W' })],
+            removed: [expect.objectContaining({ key: '/works/OL1W' })],
+            changed: [{ key: '/works/OL2W', title: 'Work OL2W', changes: { edition_count: { from: 1, to: 3 } } }]
+        });
+    });
+
+    test('identical snapshots have no differences', () => {
+        const works = [work('OL1W')];
+
+        expect(diffSubject('java', snapshot('a', works), snapshot('b', works))).toMatchObject({ added: [], removed: [], changed: [] });
+    });
+});
+
+describe('snapshot store', () => {
+    let dir;
+    let server;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+    });
+
+    afterAll(() => server.close());
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'books-snapshots-'));
+    });
+
+    afterEach(() => rm(dir, { recursive: true, force: true }));
+
+    test('takeSnapshot saves every work of the subject', async () => {
+        const client = createBooksClient({ baseUrl: server.baseUrl, rateLimit: false });
+        const store = createSnapshotStore({ dir, now: () => new Date('2023-01-01T12:00:00Z') });
+
+        const saved = await takeSnapshot(client, store, 'JavaScript');
+
+        expect(saved.takenAt).toBe('2023-01-01T12:00:00.000Z');
+        expect(saved.works).toHaveLength(5);
+        await expect(store.load('javascript')).resolves.toEqual(saved);
+    });
+
+    test('lists snapshots oldest first and finds the one as of a date', async () => {
+        let day = 1;
+        const store = createSnapshotStore({ dir, now: () => new Date(`2023-01-0${day++}T00:00:00Z`) });
+
+        await store.save('java', [work('OL1W')]);
+        await store.save('java', [work('OL1W'), work('OL2W')]);
+        await store.save('java', [work('OL2W')]);
+
+        await expect(store.list('java')).resolves.toEqual(['2023-01-01T00:00:00.000Z', '2023-01-02T00:00:00.000Z', '2023-01-03T00:00:00.000Z']);
+        await expect(store.loadAsOf('java', '2023-01-02T12:00:00Z')).resolves.toMatchObject({ takenAt: '2023-01-02T00:00:00.000Z' });
+        await expect(store.loadAsOf('java', '2022-12-31')).resolves.toBeNull();
+
+        const diff = diffSubject('java', await store.load('java', '2023-01-01T00:00:00.000Z'), await store.load('java'));
+        expect(diff.added.map(added => added.key)).toEqual(['/works/OL2W']);
+        expect(diff.removed.map(removed => removed.key)).toEqual(['/works/OL1W']);
+    });
+
+    test('list reads timestamps from the file names alone', async () => {
+        const store = createSnapshotStore({ dir, now: () => new Date('2023-01-01T09:30:15.250Z') });
+
+        await store.save('java', [work('OL1W')]);
+        await writeFile(path.join(dir, 'java', '2023-01-01T09-30-15.250Z.json'), 'not json');
+
+        await expect(store.list('java')).resolves.toEqual(['2023-01-01T09:30:15.250Z']);
+    });
+
+    test('unknown subjects have no snapshots', async () => {
+        const store = createSnapshotStore({ dir });
+
+        await expect(store.list('cobol')).resolves.toEqual([]);
+        await expect(store.load('cobol')).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,170 @@
+import { MalformedResponseError } from './errors.js';
+
+/*
+    Schemas are plain objects:
+        { type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any',
+          optional, nullable, properties: { name: schema }, items: schema }
+    Properties that are not declared are ignored.
+*/
+
+export const authorSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        key: { type: 'string', optional: true }
+    }
+};
+
+export const workSchema = {
+    type: 'object',
+    properties: {
+        key: { type: 'string', optional: true },
+        title: { type: 'string' },
+        authors: { type: 'array', optional: true, items: authorSchema },
+        first_publish_year: { type: 'number', optional: true, nullable: true },
+        cover_id: { type: 'number', optional: true, nullable: true },
+        edition_count: { type: 'number', optional: true },
+        subject: { type: 'array', optional: true, items: { type: 'string' } },
+        availability: { type: 'object', optional: true, nullable: true }
+    }
+};
+
+export const subjectSchema = {
+    type: 'object',
+    properties: {
+        key: { type: 'string', optional: true },
+        name: { type: 'string', optional: true },
+        work_count: { type: 'number', optional: true },
+        works: { type: 'array', items: workSchema }
+    }
+};
+
+export const searchDocSchema = {
+    type: 'object',
+    properties: {
+        key: { type: 'string', optional: true },
+        title: { type: 'string' },
+        author_name: { type: 'array', optional: true, items: { type: 'string' } },
+        author_key: { type: 'array', optional: true, items: { type: 'string' } },
+        first_publish_year: { type: 'number', optional: true },
+        cover_i: { type: 'number', optional: true },
+        edition_count: { type: 'number', optional: true },
+        subject: { type: 'array', optional: true, items: { type: 'string' } }
+    }
+};
+
+export const searchSchema = {
+    type: 'object',
+    properties: {
+        numFound: { type: 'number' },
+        start: { type: 'number', optional: true },
+        docs: { type: 'array', items: searchDocSchema }
+    }
+};
+
+export class ValidationError extends MalformedResponseError {
+    constructor(errors, options) {
+        super(`Invalid response:\n${errors.map(formatIssue).join('\n')}`, options);
+        this.errors = errors;
+    }
+}
+
+export function formatIssue({ path, message }) {
+    return path ? `${path}: ${message}` : message;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function joinPath(parent, segment) {
+    if (typeof segment === 'number') {
+        return `${parent}[${segment}]`;
+    }
+
+    return parent ? `${parent}.${segment}` : segment;
+}
+
+// Returns every { path, message } issue found, e.g. { path: 'works[3].title', message: 'expected string' }
+export function validate(value, schema, path = '') {
+    if (value === undefined) {
+        return schema.optional ? [] : [{ path, message: `expected ${schema.type}, got undefined` }];
+    }
+
+    if (value === null && schema.nullable) {
+        return [];
+    }
+
+    const actual = typeOf(value);
+
+    if (schema.type !== 'any' && actual !== schema.type) {
+        return [{ path, message: `expected ${schema.type}, got ${actual}` }];
+    }
+
+    if (actual === 'object' && schema.properties) {
+        return Object.entries(schema.properties)
+            .flatMap(([name, property]) => validate(value[name], property, joinPath(path, name)));
+    }
+
+    if (actual === 'array' && schema.items) {
+        return value.flatMap((item, index) => validate(item, schema.items, joinPath(path, index)));
+    }
+
+    return [];
+}
+
+/**
+ * Checks each work against workSchema (or the given item schema).
+ * strict: throws a ValidationError listing every issue.
+ * lenient: drops the works that have issues and reports them as warnings.
+ */
+export function validateWorks(works, { mode = 'lenient', path = 'works', url, schema = workSchema } = {}) {
+    const valid = [];
+    const warnings = [];
+
+    works.forEach((work, index) => {
+        const issues = validate(work, schema, joinPath(path, index));
+
+        if (issues.length) {
+            warnings.push(...issues);
+        } else {
+            valid.push(work);
+        }
+    });
+
+    if (mode === 'strict' && warnings.length) {
+        throw new ValidationError(warnings, { url });
+    }
+
+    return { works: valid, warnings };
+}
+
+// Validates a subject payload; a payload without a works array is always rejected
+export function validateSubject(data, { mode = 'lenient', url } = {}) {
+    const envelope = { ...subjectSchema, properties: { ...subjectSchema.properties, works: { type: 'array' } } };
+    const issues = validate(data, envelope);
+
+    if (issues.length) {
+        throw new ValidationError(issues, { url });
+    }
+
+    const { works, warnings } = validateWorks(data.works, { mode, url });
+    return { data: { ...data, works }, warnings };
+}
+
+// Same as validateSubject for /search.json payloads, whose records live in docs
+export function validateSearch(data, { mode = 'lenient', url } = {}) {
+    const envelope = { ...searchSchema, properties: { ...searchSchema.properties, docs: { type: 'array' } } };
+    const issues = validate(data, envelope);
+
+    if (issues.length) {
+        throw new ValidationError(issues, { url });
+    }
+
+    const { works: docs, warnings } = validateWorks(data.docs, { mode, url, path: 'docs', schema: searchDocSchema });
+    return { data: { ...data, docs }, warnings };
+}
@@ -0,0 +1,85 @@
+import { createBooksClient } from './books.js';
+import { MalformedResponseError } from './errors.js';
+import { pluckTitles, pluckWorks } from './helper.js';
+import { validate, validateSubject, ValidationError, workSchema } from './validate.js';
+
+const payload = {
+    work_count: 4,
+    works: [
+        { key: '/works/OL1W', title: 'Dune' },
+        null,
+        { key: '/works/OL3W', title: 'Hyperion', authors: [{ name: 42 }] },
+        { key: '/works/OL4W' }
+    ]
+};
+
+describe('validate', () => {
+    test('reports path-level issues', () => {
+        expect(validate(payload.works[3], workSchema, 'works[3]')).toEqual([
+            { path: 'works[3].title', message: 'expected string, got undefined' }
+        ]);
+        expect(validate(payload.works[2], workSchema, 'works[2]')).toEqual([
+            { path: 'works[2].authors[0].name', message: 'expected string, got number' }
+        ]);
+    });
+
+    test('honours optional and nullable', () => {
+        expect(validate({ title: 'Dune', cover_id: null }, workSchema)).toEqual([]);
+        expect(validate({ title: 'Dune', edition_count: null }, workSchema)).toEqual([
+            { path: 'edition_count', message: 'expected number, got null' }
+        ]);
+    });
+});
+
+describe('validateSubject', () => {
+    test('strict mode throws with every issue in the message', () => {
+        expect(() => validateSubject(payload, { mode: 'strict' })).toThrow(ValidationError);
+        expect(() => validateSubject(payload, { mode: 'strict' })).toThrow('works[3].title: expected string, got undefined');
+    });
+
+    test('lenient mode drops bad works and collects warnings', () => {
+        const { data, warnings } = validateSubject(payload);
+
+        expect(data.works.map(work => work.title)).toEqual(['Dune']);
+        expect(warnings.map(warning => warning.path)).toEqual(['works[1]', 'works[2].authors[0].name', 'works[3].title']);
+    });
+
+    test('rejects a payload without a works array in either mode', () => {
+        expect(() => validateSubject({ works: {} })).toThrow('works: expected array, got object');
+        expect(() => validateSubject('<html>')).toThrow(MalformedResponseError);
+    });
+});
+
+describe('helper.js', () => {
+    test('pluckTitles never returns undefined titles', () => {
+        expect(pluckTitles(payload)).toEqual(['Dune']);
+        expect(() => pluckTitles(payload, { mode: 'strict' })).toThrow(ValidationError);
+    });
+
+    test('pluckWorks skips invalid records', () => {
+        expect(pluckWorks(payload).map(work => work.key)).toEqual(['/works/OL1W']);
+    });
+});
+
+describe('createBooksClient validation', () => {
+    const transport = { get: jest.fn().mockResolvedValue({ status: 200, headers: {}, data: payload }) };
+
+    test('lenient clients report dropped works through onWarning', async () => {
+        const onWarning = jest.fn();
+        const client = createBooksClient({ transport, onWarning });
+
+        await expect(client.getTitlesBySubject('scifi')).resolves.toEqual(['Dune']);
+        expect(onWarning).toHaveBeenCalledTimes(3);
+        expect(onWarning).toHaveBeenCalledWith({
+            path: 'works[3].title',
+            message: 'expected string, got undefined',
+            url: 'https://openlibrary.org/subjects/scifi.json'
+        });
+    });
+
+    test('strict clients reject the whole payload', async () => {
+        const client = createBooksClient({ transport, validation: 'strict' });
+
+        await expect(client.getTitlesBySubject('scifi')).rejects.toBeInstanceOf(ValidationError);
+    });
+});